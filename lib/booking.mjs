@@ -0,0 +1,187 @@
+// booking.mjs - bookable resources, availability and calendar files
+//
+// A business that takes bookings lists its resources (a table for four, a
+// doctor, a meeting room) in its `booking` settings, each with the weekly
+// hours it can be booked in (the business's opening hours when it has none of
+// its own), how long a booking lasts and how many can run side by side. Days are cut into slot_minutes slots in the business's time
+// zone; a booking occupies every slot its duration covers, and a time is
+// available while all of those slots are below the resource's capacity.
+// During a chat the model checks availability and books through the tools
+// defined here (see AISystem.runBookingTools).
+import { addDays, exceptionOn, openingHoursOf, openRanges, rangesOn, toClock, toMinutes, zonedParts, zonedTimeToUtc } from './hours.mjs';
+
+export const BOOKING_DEFAULTS = { slot_minutes: 30, min_notice_minutes: 60, max_days_ahead: 60 };
+export const BOOKING_STATUSES = ['confirmed', 'cancelled'];
+
+// Messages that start or continue a booking conversation. The visitor's last
+// few messages count too, so "7pm works, I'm jo@example.com" still reaches the
+// tools. Only the visitor's own words count: the bot mentioning availability
+// or booking doesn't make the next question a booking turn.
+const BOOKING_WORDS = /\b(book|booking|booked|reserv\w*|appointments?|table for)\b/i;
+const BOOKING_CONTEXT_MESSAGES = 3;
+
+// The business's booking settings with defaults filled in, or null when it
+// doesn't take bookings.
+export function bookingConfig(business) {
+  const booking = business?.booking;
+  if (!booking?.enabled || !booking.resources?.length) return null;
+  return { ...BOOKING_DEFAULTS, ...booking, timezone: business.timezone || 'UTC', opening_hours: openingHoursOf(business) };
+}
+
+export function wantsBooking(message, history = []) {
+  const asked = history.filter(msg => msg.role === 'user').slice(-BOOKING_CONTEXT_MESSAGES).map(msg => msg.content);
+  return [message, ...asked].some(text => BOOKING_WORDS.test(text || ''));
+}
+
+// By id, or by name since models sometimes pass the label they were shown.
+export function findResource(config, idOrName) {
+  const wanted = String(idOrName || '').trim().toLowerCase();
+  return config.resources.find(resource => resource.id === wanted || resource.name.toLowerCase() === wanted) || null;
+}
+
+function durationOf(config, resource) {
+  return resource.duration_minutes || config.slot_minutes;
+}
+
+// Ranges `resource` can be booked in on `date`. Days the business is closed
+// (exceptions without hours) close every resource; other exceptions only
+// change resources that follow the opening hours.
+function bookableRanges(config, resource, date) {
+  if (!resource.hours) return openRanges(config.opening_hours, date);
+  return exceptionOn(config.opening_hours, date)?.hours.length === 0 ? [] : rangesOn(resource.hours, date);
+}
+
+// Start times on `date` at which `resource` is open for a whole booking.
+export function slotTimes(config, resource, date) {
+  const duration = durationOf(config, resource);
+  const times = [];
+  for (const [start, end] of bookableRanges(config, resource, date)) {
+    for (let time = start; time + duration <= end; time += config.slot_minutes) {
+      times.push(toClock(time));
+    }
+  }
+  return times;
+}
+
+// Keys of the slots a booking starting at `time` occupies, one per
+// slot_minutes of its duration.
+export function slotKeys(config, resource, date, time) {
+  const keys = [];
+  for (let offset = 0; offset < durationOf(config, resource); offset += config.slot_minutes) {
+    keys.push(`${resource.id}#${date}T${toClock(toMinutes(time) + offset)}`);
+  }
+  return keys;
+}
+
+// Times still bookable on `date`: within opening hours, at least
+// min_notice_minutes from now, no more than max_days_ahead away, and with
+// every slot they cover below capacity. `counts` maps slot keys to the
+// bookings already holding them.
+export function availableTimes(config, resource, date, counts = {}, now = new Date()) {
+  const today = zonedParts(now, config.timezone).date;
+  if (date < today || date > addDays(today, config.max_days_ahead)) return [];
+  const earliest = now.getTime() + config.min_notice_minutes * 60000;
+  return slotTimes(config, resource, date).filter(time =>
+    zonedTimeToUtc(date, time, config.timezone).getTime() >= earliest
+    && slotKeys(config, resource, date, time).every(key => (counts[key] || 0) < (resource.capacity || 1)));
+}
+
+// Short code visitors can quote; the booking id is the real key.
+export function bookingReference(id) {
+  return id.replace(/-/g, '').slice(0, 8).toUpperCase();
+}
+
+// The facts a visitor or the model needs about a booking.
+export function bookingSummary(booking) {
+  return {
+    id: booking.id,
+    reference: booking.reference,
+    resource: booking.resource_name,
+    date: booking.date,
+    time: booking.time,
+    timezone: booking.timezone,
+    duration_minutes: booking.duration_minutes,
+    name: booking.name,
+    status: booking.status
+  };
+}
+
+// Tools offered to the model on booking turns, in OpenAI's function format.
+export const BOOKING_TOOLS = [
+  {
+    type: 'function',
+    function: {
+      name: 'check_availability',
+      description: 'List the start times at which a resource can still be booked on a date.',
+      parameters: {
+        type: 'object',
+        properties: {
+          resource_id: { type: 'string', description: 'Id of the resource, from the BOOKINGS list' },
+          date: { type: 'string', description: 'Date as YYYY-MM-DD, in the business time zone' }
+        },
+        required: ['resource_id', 'date']
+      }
+    }
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'create_booking',
+      description: 'Book a resource for the visitor. Only call it once the visitor has confirmed the resource, date and time and given their name and email.',
+      parameters: {
+        type: 'object',
+        properties: {
+          resource_id: { type: 'string', description: 'Id of the resource, from the BOOKINGS list' },
+          date: { type: 'string', description: 'Date as YYYY-MM-DD, in the business time zone' },
+          time: { type: 'string', description: 'Start time as HH:MM (24-hour), one returned by check_availability' },
+          name: { type: 'string' },
+          email: { type: 'string' },
+          phone: { type: 'string' },
+          notes: { type: 'string', description: 'Anything else the visitor asked for, e.g. party size or reason for the visit' }
+        },
+        required: ['resource_id', 'date', 'time', 'name', 'email']
+      }
+    }
+  }
+];
+
+// System prompt section for booking turns.
+export function bookingPrompt(config, now = new Date()) {
+  const { date, time } = zonedParts(now, config.timezone);
+  const weekday = new Intl.DateTimeFormat('en-US', { timeZone: config.timezone, weekday: 'long' }).format(now);
+  const resources = config.resources.map(resource =>
+    `  - ${resource.id}: ${resource.name} (${durationOf(config, resource)} minutes)${resource.description ? ` - ${resource.description}` : ''}`);
+  return `BOOKINGS:
+- You can check availability and make bookings with the check_availability and create_booking tools. Times are in ${config.timezone}; it is now ${weekday} ${date} ${time} there.
+- Bookable:
+${resources.join('\n')}
+- Check availability before offering times, and only offer times it returned.
+- Before booking, get the visitor's name and email and confirm the resource, date and time with them.
+- Never say a booking is made unless create_booking succeeded; then give its reference.`;
+}
+
+// iCalendar text for a booking, for the visitor's "add to calendar" link.
+export function bookingCalendar(booking, business) {
+  const stamp = (iso) => iso.replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+  const text = (value) => String(value || '')
+    .replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+  // Content lines are folded at 75 characters
+  const fold = (line) => line.match(/.{1,74}/g).join('\r\n ');
+  return [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Business Chatbot//Bookings//EN',
+    'METHOD:PUBLISH',
+    'BEGIN:VEVENT',
+    `UID:${booking.id}@business-chatbot`,
+    `DTSTAMP:${stamp(booking.created_at)}`,
+    `DTSTART:${stamp(booking.starts_at)}`,
+    `DTEND:${stamp(booking.ends_at)}`,
+    `SUMMARY:${text(`${booking.resource_name} at ${business.name}`)}`,
+    ...(business.address ? [`LOCATION:${text(business.address)}`] : []),
+    `DESCRIPTION:${text(`Booking reference ${booking.reference}${business.phone ? `. Questions? Call ${business.phone}` : ''}`)}`,
+    `STATUS:${booking.status === 'cancelled' ? 'CANCELLED' : 'CONFIRMED'}`,
+    'END:VEVENT',
+    'END:VCALENDAR'
+  ].map(fold).join('\r\n') + '\r\n';
+}
@@ -1,37 +1,59 @@
-// database.mjs - DynamoDB version
-import { DynamoDBClient } from "@aws-sdk/client-dynamodb";
-import { 
-  DynamoDBDocumentClient, 
-  PutCommand, 
-  GetCommand, 
-  QueryCommand, 
-  UpdateCommand, 
-  ScanCommand
-} from "@aws-sdk/lib-dynamodb";
+// database.mjs - data access layer over a pluggable storage backend
+//
+// The backend is chosen with STORAGE_BACKEND (dynamodb | sqlite); see
+// lib/storage/index.mjs for the adapter interface.
 import { randomUUID as uuid } from 'node:crypto';
 import crypto from 'node:crypto';
+import { TABLES } from './storage/schema.mjs';
+import { createStorage } from './storage/index.mjs';
+import { runMigrations, getSchemaVersion, LATEST_SCHEMA_VERSION } from './storage/migrations.mjs';
+import { slotKeys, bookingReference } from './booking.mjs';
+import { normalizeOpeningHours, openingHoursOf, zonedTimeToUtc } from './hours.mjs';
 
-// Initialize DynamoDB client
-const client = new DynamoDBClient({ 
-  region: process.env.AWS_REGION || 'us-east-1' 
-});
-const docClient = DynamoDBDocumentClient.from(client);
-
-// Table names
-const TABLES = {
-  BUSINESSES: 'BusinessChatbot-Businesses',
-  DOCUMENTS: 'BusinessChatbot-Documents', 
-  CHUNKS: 'BusinessChatbot-Chunks',
-  CHAT_SESSIONS: 'BusinessChatbot-ChatSessions',
-  MESSAGES: 'BusinessChatbot-Messages',
-  LEADS: 'BusinessChatbot-Leads'
-};
+const storage = await createStorage();
+await storage.init();
+
+// A local SQLite file is cheap to provision, so keep it migrated automatically.
+// DynamoDB tables are provisioned explicitly with `npm run migrate`.
+if (storage.name === 'sqlite') {
+  await runMigrations(storage, { log: () => {} });
+}
+
+export function getStorageBackend() {
+  return storage.name;
+}
+
+export async function checkSchema() {
+  const version = await getSchemaVersion(storage);
+  return { backend: storage.name, version, latest: LATEST_SCHEMA_VERSION, upToDate: version >= LATEST_SCHEMA_VERSION };
+}
+
+// Adapters return one page per call. collect() follows the cursor until the
+// data is exhausted or `limit` items are gathered, and hands back the cursor
+// to resume from so callers can paginate without dropping items.
+async function collect(fetchPage, { limit = null, cursor = null } = {}) {
+  const items = [];
+  do {
+    const page = await fetchPage({ cursor, limit: limit ? limit - items.length : undefined });
+    items.push(...page.items);
+    cursor = page.cursor;
+  } while (cursor && (!limit || items.length < limit));
+  return { items, cursor };
+}
 
 function generateSecureHash() {
   return crypto.randomBytes(16).toString('hex');
 }
 
 // Business management functions
+export const RETENTION_FIELDS = [
+  'message_retention_days',
+  'session_retention_days',
+  'ip_retention_days',
+  'lead_retention_days',
+  'booking_retention_days'
+];
+
 export async function createBusiness(data) {
   const id = uuid();
   const apiKey = crypto.randomBytes(32).toString('hex');
@@ -50,6 +72,8 @@ export async function createBusiness(data) {
     address: data.address || '',
     website: data.website || '',
     hours: data.hours || '',
+    // Structured hours, as given or read from the free text when possible
+    opening_hours: (data.opening_hours && normalizeOpeningHours(data.opening_hours)) || openingHoursOf({ hours: data.hours }),
     timezone: data.timezone || 'Asia/Kolkata',
     maps_url: data.maps_url || '',
     logo_url: data.logo_url || '',
@@ -60,16 +84,15 @@ export async function createBusiness(data) {
     enable_email_notifications: data.enable_email_notifications ?? true,
     enable_lead_capture: data.enable_lead_capture ?? true,
     enable_file_uploads: data.enable_file_uploads ?? true,
+    // Retention in days; null keeps data indefinitely (see applyRetentionPolicy).
+    ...Object.fromEntries(RETENTION_FIELDS.map(field => [field, data[field] ?? null])),
     api_key: apiKey,
     created_at: new Date().toISOString(),
     updated_at: new Date().toISOString()
   };
   
   try {
-    await docClient.send(new PutCommand({
-      TableName: TABLES.BUSINESSES,
-      Item: business
-    }));
+    await storage.putItem(TABLES.BUSINESSES, business);
     
     return { id, api_key: apiKey, chat_hash: chatHash, analytics_hash: analyticsHash };
   } catch (error) {
@@ -80,16 +103,12 @@ export async function createBusiness(data) {
 
 export async function getBusinessBySlug(slug) {
   try {
-    const result = await docClient.send(new QueryCommand({
-      TableName: TABLES.BUSINESSES,
-      IndexName: 'SlugIndex',
-      KeyConditionExpression: 'slug = :slug',
-      ExpressionAttributeValues: {
-        ':slug': slug
-      }
-    }));
+    const result = await storage.queryItems(TABLES.BUSINESSES, {
+      index: 'SlugIndex',
+      keyValue: slug
+    });
     
-    return result.Items?.[0];
+    return result.items[0];
   } catch (error) {
     console.error('Error getting business by slug:', error);
     throw error;
@@ -98,16 +117,12 @@ export async function getBusinessBySlug(slug) {
 
 export async function getBusinessByChatHash(chatHash) {
   try {
-    const result = await docClient.send(new QueryCommand({
-      TableName: TABLES.BUSINESSES,
-      IndexName: 'ChatHashIndex',
-      KeyConditionExpression: 'chat_hash = :chat_hash',
-      ExpressionAttributeValues: {
-        ':chat_hash': chatHash
-      }
-    }));
+    const result = await storage.queryItems(TABLES.BUSINESSES, {
+      index: 'ChatHashIndex',
+      keyValue: chatHash
+    });
     
-    return result.Items?.[0];
+    return result.items[0];
   } catch (error) {
     console.error('Error getting business by chat hash:', error);
     throw error;
@@ -116,16 +131,12 @@ export async function getBusinessByChatHash(chatHash) {
 
 export async function getBusinessByAnalyticsHash(analyticsHash) {
   try {
-    const result = await docClient.send(new QueryCommand({
-      TableName: TABLES.BUSINESSES,
-      IndexName: 'AnalyticsHashIndex',
-      KeyConditionExpression: 'analytics_hash = :analytics_hash',
-      ExpressionAttributeValues: {
-        ':analytics_hash': analyticsHash
-      }
-    }));
+    const result = await storage.queryItems(TABLES.BUSINESSES, {
+      index: 'AnalyticsHashIndex',
+      keyValue: analyticsHash
+    });
     
-    return result.Items?.[0];
+    return result.items[0];
   } catch (error) {
     console.error('Error getting business by analytics hash:', error);
     throw error;
@@ -134,18 +145,32 @@ export async function getBusinessByAnalyticsHash(analyticsHash) {
 
 export async function getBusinessById(id) {
   try {
-    const result = await docClient.send(new GetCommand({
-      TableName: TABLES.BUSINESSES,
-      Key: { id }
-    }));
-    
-    return result.Item;
+    return await storage.getItem(TABLES.BUSINESSES, { id });
   } catch (error) {
     console.error('Error getting business by id:', error);
     throw error;
   }
 }
 
+// Partial update: only the given attributes change, updated_at is bumped.
+// Callers validate fields (and slug uniqueness) before calling this.
+export async function updateBusiness(id, updates) {
+  try {
+    await storage.updateItem(TABLES.BUSINESSES, { id }, {
+      set: { ...updates, updated_at: new Date().toISOString() },
+      mustExist: true
+    });
+    
+    return await getBusinessById(id);
+  } catch (error) {
+    if (error.name === 'ConditionalCheckFailedException') {
+      error.message = 'Business not found';
+    }
+    console.error('Error updating business:', error);
+    throw error;
+  }
+}
+
 // Document management functions
 export async function saveDocument(businessId, filename, originalName, fileType, fileSize, content, category = 'general') {
   const id = uuid();
@@ -164,10 +189,7 @@ export async function saveDocument(businessId, filename, originalName, fileType,
   };
   
   try {
-    await docClient.send(new PutCommand({
-      TableName: TABLES.DOCUMENTS,
-      Item: document
-    }));
+    await storage.putItem(TABLES.DOCUMENTS, document);
     
     return id;
   } catch (error) {
@@ -191,10 +213,7 @@ export async function saveChunk(businessId, documentId, chunkIndex, content, emb
   };
   
   try {
-    await docClient.send(new PutCommand({
-      TableName: TABLES.CHUNKS,
-      Item: chunk
-    }));
+    await storage.putItem(TABLES.CHUNKS, chunk);
     
     return chunkId;
   } catch (error) {
@@ -205,33 +224,88 @@ export async function saveChunk(businessId, documentId, chunkIndex, content, emb
 
 export async function getBusinessChunks(businessId, category = null) {
   try {
-    let params = {
-      TableName: TABLES.CHUNKS,
-      KeyConditionExpression: 'business_id = :business_id',
-      ExpressionAttributeValues: {
-        ':business_id': businessId
-      }
-    };
+    const filters = category ? [{ attr: 'category', op: '=', value: category }] : [];
     
-    if (category) {
-      params.FilterExpression = 'category = :category';
-      params.ExpressionAttributeValues[':category'] = category;
-    }
-    
-    const result = await docClient.send(new QueryCommand(params));
+    const result = await collect(page => storage.queryItems(TABLES.CHUNKS, {
+      keyValue: businessId,
+      filters,
+      ...page
+    }));
     
-    return result.Items?.map(item => ({
+    return result.items.map(item => ({
       id: item.chunk_id,
       content: item.content,
       embedding: item.embedding,
-      category: item.category
-    })) || [];
+      document_id: item.document_id,
+      category: item.category,
+      keywords: item.keywords
+    }));
   } catch (error) {
     console.error('Error getting business chunks:', error);
     throw error;
   }
 }
 
+export async function getDocument(businessId, documentId) {
+  try {
+    return await storage.getItem(TABLES.DOCUMENTS, { business_id: businessId, id: documentId });
+  } catch (error) {
+    console.error('Error getting document:', error);
+    throw error;
+  }
+}
+
+export async function updateDocument(businessId, documentId, updates) {
+  try {
+    await storage.updateItem(TABLES.DOCUMENTS, { business_id: businessId, id: documentId }, {
+      set: updates,
+      mustExist: true
+    });
+  } catch (error) {
+    if (error.name === 'ConditionalCheckFailedException') {
+      error.message = 'Document not found';
+    }
+    console.error('Error updating document:', error);
+    throw error;
+  }
+}
+
+// Chunk ids are `${documentId}#${chunkIndex}`, so a document's chunks share a sort-key prefix.
+// `fromIndex` keeps the first chunks, which lets a re-index prune leftovers past its new end.
+export async function deleteDocumentChunks(businessId, documentId, { fromIndex = 0 } = {}) {
+  try {
+    const result = await collect(page => storage.queryItems(TABLES.CHUNKS, {
+      keyValue: businessId,
+      sortKeyPrefix: `${documentId}#`,
+      ...page
+    }));
+    
+    const stale = result.items.filter(chunk => chunk.chunk_index >= fromIndex);
+    for (const chunk of stale) {
+      await storage.deleteItem(TABLES.CHUNKS, { business_id: businessId, chunk_id: chunk.chunk_id });
+    }
+    
+    return stale.length;
+  } catch (error) {
+    console.error('Error deleting document chunks:', error);
+    throw error;
+  }
+}
+
+// Removes the document and every chunk derived from it. Chunks go first so a
+// failure part-way never leaves searchable chunks without their document.
+export async function deleteDocument(businessId, documentId) {
+  try {
+    const chunksDeleted = await deleteDocumentChunks(businessId, documentId);
+    await storage.deleteItem(TABLES.DOCUMENTS, { business_id: businessId, id: documentId });
+    
+    return { documentId, chunksDeleted };
+  } catch (error) {
+    console.error('Error deleting document:', error);
+    throw error;
+  }
+}
+
 // Session and message functions
 export async function createSession(businessId, userIp = '', userAgent = '') {
   const id = uuid();
@@ -254,10 +328,7 @@ export async function createSession(businessId, userIp = '', userAgent = '') {
   };
   
   try {
-    await docClient.send(new PutCommand({
-      TableName: TABLES.CHAT_SESSIONS,
-      Item: session
-    }));
+    await storage.putItem(TABLES.CHAT_SESSIONS, session);
     
     return id;
   } catch (error) {
@@ -266,55 +337,146 @@ export async function createSession(businessId, userIp = '', userAgent = '') {
   }
 }
 
-export async function updateSession(sessionId, updates) {
+// Sessions are keyed by (business_id, id). Callers that know the business
+// (e.g. from the session JWT) should pass it so this is a direct key read;
+// otherwise the id-only SessionIdIndex is used.
+export async function getSession(sessionId, businessId = null) {
   try {
-    const sessions = await docClient.send(new ScanCommand({
-      TableName: TABLES.CHAT_SESSIONS,
-      FilterExpression: 'id = :session_id',
-      ExpressionAttributeValues: {
-        ':session_id': sessionId
-      }
-    }));
-    
-    if (!sessions.Items?.length) {
-      throw new Error('Session not found');
+    if (businessId) {
+      return await storage.getItem(TABLES.CHAT_SESSIONS, { business_id: businessId, id: sessionId });
     }
     
-    const businessId = sessions.Items[0].business_id;
+    const result = await storage.queryItems(TABLES.CHAT_SESSIONS, {
+      index: 'SessionIdIndex',
+      keyValue: sessionId
+    });
     
-    const updateExpression = [];
-    const expressionAttributeValues = {};
-    const expressionAttributeNames = {};
+    return result.items[0];
+  } catch (error) {
+    console.error('Error getting session:', error);
+    throw error;
+  }
+}
+
+export async function updateSession(sessionId, updates, businessId = null) {
+  try {
+    if (!businessId) {
+      const session = await getSession(sessionId);
+      if (!session) {
+        throw new Error('Session not found');
+      }
+      businessId = session.business_id;
+    }
     
-    Object.entries(updates).forEach(([key, value], index) => {
-      const placeholder = `:val${index}`;
-      const namePlaceholder = `#attr${index}`;
-      
-      updateExpression.push(`${namePlaceholder} = ${placeholder}`);
-      expressionAttributeValues[placeholder] = value;
-      expressionAttributeNames[namePlaceholder] = key;
-    });
+    await storage.updateItem(TABLES.CHAT_SESSIONS, {
+      business_id: businessId,
+      id: sessionId
+    }, { set: updates, mustExist: true });
     
-    await docClient.send(new UpdateCommand({
-      TableName: TABLES.CHAT_SESSIONS,
-      Key: {
-        business_id: businessId,
-        id: sessionId
-      },
-      UpdateExpression: `SET ${updateExpression.join(', ')}`,
-      ExpressionAttributeValues: expressionAttributeValues,
-      ExpressionAttributeNames: expressionAttributeNames
+  } catch (error) {
+    if (error.name === 'ConditionalCheckFailedException') {
+      error.message = 'Session not found';
+    }
+    console.error('Error updating session:', error);
+    throw error;
+  }
+}
+
+// Live handoff to a human agent. A session in the handoff queue has
+// handoff_status 'waiting' (the visitor asked for a person) or 'active' (an
+// agent took over and the bot is paused), and carries handoff_business_id so
+// HandoffIndex lists the queue. Handing back to the bot removes all of it.
+// Each transition is conditional on the status it starts from and returns
+// false if another request changed the session first.
+const HANDOFF_ATTRIBUTES = ['handoff_status', 'handoff_business_id', 'handoff_requested_at', 'handoff_accepted_at', 'agent_name'];
+
+async function updateHandoff(businessId, sessionId, changes) {
+  try {
+    await storage.updateItem(TABLES.CHAT_SESSIONS, { business_id: businessId, id: sessionId }, { ...changes, mustExist: true });
+    return true;
+  } catch (error) {
+    if (error.name === 'ConditionalCheckFailedException') return false;
+    console.error('Error updating handoff:', error);
+    throw error;
+  }
+}
+
+export function requestHandoff(businessId, sessionId) {
+  return updateHandoff(businessId, sessionId, {
+    set: { handoff_status: 'waiting', handoff_business_id: businessId, handoff_requested_at: new Date().toISOString() },
+    expect: { handoff_status: null }
+  });
+}
+
+// An agent takes over a waiting session, or any bot conversation outright
+// (`from` null).
+export function claimHandoff(businessId, sessionId, agentName, from = 'waiting') {
+  const now = new Date().toISOString();
+  return updateHandoff(businessId, sessionId, {
+    set: {
+      handoff_status: 'active',
+      handoff_business_id: businessId,
+      ...(from ? {} : { handoff_requested_at: now }),
+      handoff_accepted_at: now,
+      agent_name: agentName
+    },
+    expect: { handoff_status: from }
+  });
+}
+
+export function releaseHandoff(businessId, sessionId, from = 'active') {
+  return updateHandoff(businessId, sessionId, {
+    set: { handoff_ended_at: new Date().toISOString() },
+    remove: HANDOFF_ATTRIBUTES,
+    expect: { handoff_status: from }
+  });
+}
+
+// Sessions waiting for or talking to an agent, longest waiting first.
+export async function listHandoffQueue(businessId) {
+  try {
+    const result = await collect(page => storage.queryItems(TABLES.CHAT_SESSIONS, {
+      index: 'HandoffIndex',
+      keyValue: businessId,
+      ...page
     }));
     
+    return result.items.map(session => ({
+      id: session.id,
+      status: session.handoff_status,
+      requested_at: session.handoff_requested_at,
+      accepted_at: session.handoff_accepted_at || null,
+      agent_name: session.agent_name || null,
+      user_name: session.user_name || '',
+      user_email: session.user_email || '',
+      started_at: session.started_at,
+      total_messages: session.total_messages || 0
+    }));
   } catch (error) {
-    console.error('Error updating session:', error);
+    console.error('Error listing handoff queue:', error);
     throw error;
   }
 }
 
-export async function saveMessage(sessionId, businessId, role, content, intent = '', sentiment = 'neutral', confidence = 0.0, retrievedChunks = []) {
+// Messages are keyed by (session_id, timestamp), and a reply is usually saved
+// in the same millisecond as the question it answers. Keep timestamps strictly
+// increasing so the second write never overwrites the first.
+let lastMessageTime = 0;
+
+function nextMessageTimestamp() {
+  lastMessageTime = Math.max(Date.now(), lastMessageTime + 1);
+  return new Date(lastMessageTime).toISOString();
+}
+
+// `sources` are the documents an assistant reply cited. `lowConfidence` flags a
+// question the bot couldn't answer confidently; see listLowConfidenceQuestions.
+// `searchQuery` records what a follow-up was rewritten to for retrieval, and
+// `language` the visitor's detected language (or the reply language).
+// Replies typed by a human agent during a handoff have role 'agent' and
+// `agentName`.
+export async function saveMessage(sessionId, businessId, role, content, intent = '', sentiment = 'neutral', confidence = 0.0, retrievedChunks = [], { sources = [], lowConfidence = false, searchQuery = null, language = null, intents = [], guard = null, agentName = null, booking = null } = {}) {
   const id = uuid();
-  const timestamp = new Date().toISOString();
+  const timestamp = nextMessageTimestamp();
   
   const message = {
     session_id: sessionId,
@@ -326,26 +488,24 @@ export async function saveMessage(sessionId, businessId, role, content, intent =
     intent,
     sentiment,
     confidence,
-    retrieved_chunks: retrievedChunks
+    retrieved_chunks: retrievedChunks,
+    ...(sources.length ? { sources } : {}),
+    ...(searchQuery ? { search_query: searchQuery } : {}),
+    ...(language ? { language } : {}),
+    ...(intents.length ? { intents } : {}),
+    ...(guard ? { guard } : {}),
+    ...(agentName ? { agent_name: agentName } : {}),
+    ...(booking ? { booking } : {}),
+    ...(lowConfidence ? { low_confidence_business_id: businessId } : {})
   };
   
   try {
-    await docClient.send(new PutCommand({
-      TableName: TABLES.MESSAGES,
-      Item: message
-    }));
+    await storage.putItem(TABLES.MESSAGES, message);
     
-    await docClient.send(new UpdateCommand({
-      TableName: TABLES.CHAT_SESSIONS,
-      Key: {
-        business_id: businessId,
-        id: sessionId
-      },
-      UpdateExpression: 'SET total_messages = total_messages + :inc',
-      ExpressionAttributeValues: {
-        ':inc': 1
-      }
-    }));
+    await storage.updateItem(TABLES.CHAT_SESSIONS, {
+      business_id: businessId,
+      id: sessionId
+    }, { add: { total_messages: 1 } });
     
     return id;
   } catch (error) {
@@ -356,28 +516,96 @@ export async function saveMessage(sessionId, businessId, role, content, intent =
 
 export async function getSessionHistory(sessionId, limit = 10) {
   try {
-    const result = await docClient.send(new QueryCommand({
-      TableName: TABLES.MESSAGES,
-      KeyConditionExpression: 'session_id = :session_id',
-      ExpressionAttributeValues: {
-        ':session_id': sessionId
-      },
-      ScanIndexForward: false,
-      Limit: limit
-    }));
+    const result = await storage.queryItems(TABLES.MESSAGES, {
+      keyValue: sessionId,
+      descending: true,
+      limit
+    });
     
-    return result.Items?.map(item => ({
+    return result.items.map(item => ({
       role: item.role,
       content: item.content,
-      timestamp: item.timestamp
-    })).reverse() || [];
+      timestamp: item.timestamp,
+      language: item.language || null,
+      agent_name: item.agent_name || null,
+      blocked: Boolean(item.guard?.blocked)
+    })).reverse();
   } catch (error) {
     console.error('Error getting session history:', error);
     throw error;
   }
 }
 
+// Full transcript of a session, oldest first (getSessionHistory only returns
+// the recent turns used as model context).
+export async function getSessionTranscript(sessionId) {
+  try {
+    const result = await collect(page => storage.queryItems(TABLES.MESSAGES, {
+      keyValue: sessionId,
+      ...page
+    }));
+    
+    return result.items.map(item => ({
+      role: item.role,
+      content: item.content,
+      timestamp: item.timestamp,
+      intent: item.intent,
+      intents: item.intents || [],
+      sentiment: item.sentiment,
+      confidence: item.confidence,
+      search_query: item.search_query || null,
+      language: item.language || null,
+      sources: item.sources || [],
+      guard: item.guard || null,
+      agent_name: item.agent_name || null,
+      booking: item.booking || null
+    }));
+  } catch (error) {
+    console.error('Error getting session transcript:', error);
+    throw error;
+  }
+}
+
+// Questions answered below the business's confidence threshold, newest first,
+// so the business can see which knowledge is missing.
+export async function listLowConfidenceQuestions(businessId, { since = null, limit = 25, cursor = null } = {}) {
+  try {
+    const page = await collect(page => storage.queryItems(TABLES.MESSAGES, {
+      index: 'LowConfidenceIndex',
+      keyValue: businessId,
+      descending: true,
+      ...page
+    }), { limit, cursor });
+    
+    // Sort-key conditions aren't expressible as filters, so stop at `since` here
+    const items = since ? page.items.filter(item => item.timestamp >= since) : page.items;
+    return {
+      items: items.map(item => ({
+        session_id: item.session_id,
+        question: item.content,
+        search_query: item.search_query || null,
+        timestamp: item.timestamp,
+        intent: item.intent,
+        confidence: item.confidence
+      })),
+      cursor: items.length < page.items.length ? null : page.cursor
+    };
+  } catch (error) {
+    console.error('Error listing low-confidence questions:', error);
+    throw error;
+  }
+}
+
 // Lead management
+//
+// Leads move through the business's pipeline (lead_pipeline, or the default
+// below); new leads start in its first stage.
+export const DEFAULT_LEAD_PIPELINE = ['new', 'contacted', 'qualified', 'won', 'lost'];
+
+export function getLeadPipeline(business) {
+  return business?.lead_pipeline?.length ? business.lead_pipeline : DEFAULT_LEAD_PIPELINE;
+}
+
 export async function createLead(businessId, sessionId, data) {
   const id = uuid();
   
@@ -392,22 +620,20 @@ export async function createLead(businessId, sessionId, data) {
     budget: data.budget || '',
     timeline: data.timeline || '',
     message: data.message || '',
-    status: 'new',
+    status: data.status || DEFAULT_LEAD_PIPELINE[0],
     source: 'chat',
     assigned_to: '',
     follow_up_date: null,
     notes: data.notes || '',
+    activity: [],
     created_at: new Date().toISOString(),
     updated_at: new Date().toISOString()
   };
   
   try {
-    await docClient.send(new PutCommand({
-      TableName: TABLES.LEADS,
-      Item: lead
-    }));
+    await storage.putItem(TABLES.LEADS, lead);
     
-    await updateSession(sessionId, { is_lead: true });
+    await updateSession(sessionId, { is_lead: true }, businessId);
     
     return id;
   } catch (error) {
@@ -416,48 +642,204 @@ export async function createLead(businessId, sessionId, data) {
   }
 }
 
-// Enhanced analytics
-export async function getBusinessAnalytics(businessId, days = 30) {
+export async function getLead(businessId, leadId) {
+  try {
+    return await storage.getItem(TABLES.LEADS, { business_id: businessId, id: leadId });
+  } catch (error) {
+    console.error('Error getting lead:', error);
+    throw error;
+  }
+}
+
+// Apply pipeline changes (status, assigned_to, follow_up_date) and optionally
+// append a note. Every change is recorded in the lead's activity log so the
+// admin view can show who moved a lead and when. Returns the updated lead.
+export async function updateLead(businessId, leadId, updates, { note = '', author = '' } = {}) {
   try {
-    const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+    const lead = await getLead(businessId, leadId);
+    if (!lead) {
+      throw new Error('Lead not found');
+    }
     
-    const sessionsResult = await docClient.send(new QueryCommand({
-      TableName: TABLES.CHAT_SESSIONS,
-      KeyConditionExpression: 'business_id = :business_id',
-      FilterExpression: 'started_at >= :since',
-      ExpressionAttributeValues: {
-        ':business_id': businessId,
-        ':since': since
+    const at = new Date().toISOString();
+    const activity = [...(lead.activity || [])];
+    for (const [field, value] of Object.entries(updates)) {
+      if (lead[field] !== value) {
+        activity.push({ type: field, from: lead[field] ?? null, to: value, author, at });
       }
+    }
+    if (note) {
+      activity.push({ type: 'note', text: note, author, at });
+    }
+    
+    await storage.updateItem(TABLES.LEADS, { business_id: businessId, id: leadId }, {
+      set: { ...updates, activity, updated_at: at },
+      mustExist: true
+    });
+    
+    return await getLead(businessId, leadId);
+  } catch (error) {
+    if (error.name === 'ConditionalCheckFailedException') {
+      error.message = 'Lead not found';
+    }
+    console.error('Error updating lead:', error);
+    throw error;
+  }
+}
+
+// Enhanced analytics
+const SENTIMENTS = ['positive', 'neutral', 'negative'];
+
+// Falls back to UTC when a business has no (or an unknown) time zone.
+function validTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return timeZone || 'UTC';
+  } catch {
+    return 'UTC';
+  }
+}
+
+// Messages are only read for this many of the most recent sessions, so an
+// analytics view costs a bounded number of queries however busy the period.
+const ANALYTICS_SAMPLE_SESSIONS = 100;
+
+// Sessions, leads and messages from the last `days` days, bucketed by day in
+// the business's time zone. Totals and daily counts come from the session
+// items (a session's messages count on the day it started). Intents,
+// sentiment, languages, security events and session length come from the
+// messages of the latest ANALYTICS_SAMPLE_SESSIONS sessions; sampledSessions
+// says how many that was.
+export async function getBusinessAnalytics(businessId, days = 30, timeZone = 'UTC') {
+  try {
+    const now = new Date();
+    const since = new Date(now.getTime() - days * 24 * 60 * 60 * 1000).toISOString();
+    timeZone = validTimeZone(timeZone);
+    // en-CA formats dates as YYYY-MM-DD
+    const dayKey = new Intl.DateTimeFormat('en-CA', { timeZone, year: 'numeric', month: '2-digit', day: '2-digit' });
+    
+    const dailyStats = new Map();
+    for (let i = days - 1; i >= 0; i--) {
+      const date = dayKey.format(new Date(now.getTime() - i * 24 * 60 * 60 * 1000));
+      dailyStats.set(date, { date, sessions: 0, messages: 0, leads: 0 });
+    }
+    const bump = (timestamp, field, count = 1) => {
+      const day = dailyStats.get(dayKey.format(new Date(timestamp)));
+      if (day) day[field] += count;
+    };
+    
+    const sessionsResult = await collect(page => storage.queryItems(TABLES.CHAT_SESSIONS, {
+      keyValue: businessId,
+      filters: [{ attr: 'started_at', op: '>=', value: since }],
+      ...page
     }));
     
-    const sessions = sessionsResult.Items || [];
+    const sessions = sessionsResult.items;
     const totalSessions = sessions.length;
     const totalLeads = sessions.filter(s => s.is_lead).length;
-    const avgMessages = sessions.length > 0 
-      ? sessions.reduce((sum, s) => sum + (s.total_messages || 0), 0) / sessions.length 
-      : 0;
-    
-    const leadsResult = await docClient.send(new QueryCommand({
-      TableName: TABLES.LEADS,
-      KeyConditionExpression: 'business_id = :business_id',
-      FilterExpression: 'created_at >= :since',
-      ExpressionAttributeValues: {
-        ':business_id': businessId,
-        ':since': since
-      },
-      ScanIndexForward: false,
-      Limit: 10
+    const totalMessages = sessions.reduce((sum, s) => sum + (s.total_messages || 0), 0);
+    
+    const intentCounts = new Map();
+    const languageCounts = new Map();
+    // Injection attempts and poisoned chunks recorded by the chat guard
+    const security = { flagged: 0, blocked: 0, droppedChunks: 0, leaks: 0, recent: [] };
+    const patternCounts = new Map();
+    const sentimentBreakdown = Object.fromEntries(SENTIMENTS.map(sentiment => [sentiment, 0]));
+    let sessionMinutes = 0;
+    let timedSessions = 0;
+    
+    for (const session of sessions) {
+      bump(session.started_at, 'sessions');
+      bump(session.started_at, 'messages', session.total_messages || 0);
+    }
+    
+    const sample = [...sessions]
+      .sort((a, b) => b.started_at.localeCompare(a.started_at))
+      .slice(0, ANALYTICS_SAMPLE_SESSIONS);
+    for (const session of sample) {
+      const messages = (await collect(page => storage.queryItems(TABLES.MESSAGES, {
+        keyValue: session.id,
+        ...page
+      }))).items;
+      
+      for (const message of messages) {
+        if (message.role !== 'user') continue;
+        // Every label of a multi-intent message counts; older messages only have `intent`
+        const labels = message.intents?.map(label => label.intent) || (message.intent ? [message.intent] : []);
+        for (const intent of labels) {
+          intentCounts.set(intent, (intentCounts.get(intent) || 0) + 1);
+        }
+        if (message.sentiment in sentimentBreakdown) {
+          sentimentBreakdown[message.sentiment]++;
+        }
+        if (message.language) {
+          languageCounts.set(message.language, (languageCounts.get(message.language) || 0) + 1);
+        }
+        if (message.guard) {
+          const { patterns = [], blocked = false, dropped_chunks = [], leak = false } = message.guard;
+          if (patterns.length) security.flagged++;
+          if (blocked) security.blocked++;
+          if (leak) security.leaks++;
+          security.droppedChunks += dropped_chunks.length;
+          for (const pattern of patterns) {
+            patternCounts.set(pattern, (patternCounts.get(pattern) || 0) + 1);
+          }
+          security.recent.push({
+            session_id: session.id,
+            timestamp: message.timestamp,
+            content: message.content.slice(0, 200),
+            ...message.guard
+          });
+        }
+      }
+      
+      if (messages.length > 0) {
+        const lastMessageAt = new Date(messages[messages.length - 1].timestamp);
+        sessionMinutes += Math.max(0, (lastMessageAt - new Date(session.started_at)) / 60000);
+        timedSessions++;
+      }
+    }
+    
+    const leadsResult = await collect(page => storage.queryItems(TABLES.LEADS, {
+      index: 'CreatedAtIndex',
+      keyValue: businessId,
+      filters: [{ attr: 'created_at', op: '>=', value: since }],
+      descending: true,
+      ...page
     }));
+    for (const lead of leadsResult.items) {
+      bump(lead.created_at, 'leads');
+    }
+    
+    const topIntents = [...intentCounts]
+      .map(([intent, count]) => ({ intent, count }))
+      .sort((a, b) => b.count - a.count)
+      .slice(0, 10);
+    const languages = [...languageCounts]
+      .map(([language, count]) => ({ language, count }))
+      .sort((a, b) => b.count - a.count);
+    security.patterns = [...patternCounts]
+      .map(([pattern, count]) => ({ pattern, count }))
+      .sort((a, b) => b.count - a.count);
+    security.recent = security.recent
+      .sort((a, b) => b.timestamp.localeCompare(a.timestamp))
+      .slice(0, 10);
     
     return {
       totalSessions,
       totalLeads,
-      avgMessagesPerSession: Math.round(avgMessages * 10) / 10,
+      totalMessages,
+      avgMessagesPerSession: totalSessions > 0 ? Math.round((totalMessages / totalSessions) * 10) / 10 : 0,
+      avgSessionMinutes: timedSessions > 0 ? Math.round((sessionMinutes / timedSessions) * 10) / 10 : 0,
       conversionRate: totalSessions > 0 ? Math.round((totalLeads / totalSessions) * 100 * 10) / 10 : 0,
-      topIntents: [],
-      dailyStats: [],
-      recentLeads: leadsResult.Items || []
+      sampledSessions: sample.length,
+      topIntents,
+      languages,
+      sentimentBreakdown,
+      security,
+      dailyStats: [...dailyStats.values()],
+      timeZone,
+      recentLeads: leadsResult.items.slice(0, 10)
     };
     
   } catch (error) {
@@ -466,17 +848,16 @@ export async function getBusinessAnalytics(businessId, days = 30) {
   }
 }
 
+const BUSINESS_LIST_ATTRIBUTES = ['id', 'slug', 'chat_hash', 'analytics_hash', 'name', 'email', 'created_at'];
+
 export async function getAllBusinesses() {
   try {
-    const result = await docClient.send(new ScanCommand({
-      TableName: TABLES.BUSINESSES,
-      ProjectionExpression: 'id, slug, chat_hash, analytics_hash, #name, email, created_at',
-      ExpressionAttributeNames: {
-        '#name': 'name'
-      }
+    const result = await collect(page => storage.scanItems(TABLES.BUSINESSES, {
+      attributes: BUSINESS_LIST_ATTRIBUTES,
+      ...page
     }));
     
-    return result.Items?.sort((a, b) => new Date(b.created_at) - new Date(a.created_at)) || [];
+    return result.items.sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
   } catch (error) {
     console.error('Error getting all businesses:', error);
     throw error;
@@ -485,23 +866,417 @@ export async function getAllBusinesses() {
 
 export async function getBusinessDocuments(businessId) {
   try {
-    const result = await docClient.send(new QueryCommand({
-      TableName: TABLES.DOCUMENTS,
-      KeyConditionExpression: 'business_id = :business_id',
-      ExpressionAttributeValues: {
-        ':business_id': businessId
-      },
-      ScanIndexForward: false
+    const result = await collect(page => storage.queryItems(TABLES.DOCUMENTS, {
+      keyValue: businessId,
+      descending: true,
+      ...page
     }));
     
-    return result.Items || [];
+    return result.items;
   } catch (error) {
     console.error('Error getting business documents:', error);
     throw error;
   }
 }
 
+// Paginated listings: each returns { items, cursor }; pass the cursor back to
+// get the next page. A null cursor means there is nothing more to read.
+export async function listBusinesses({ limit = 25, cursor = null } = {}) {
+  try {
+    return await collect(page => storage.scanItems(TABLES.BUSINESSES, {
+      attributes: BUSINESS_LIST_ATTRIBUTES,
+      ...page
+    }), { limit, cursor });
+  } catch (error) {
+    console.error('Error listing businesses:', error);
+    throw error;
+  }
+}
+
+export async function listBusinessDocuments(businessId, { limit = 25, cursor = null } = {}) {
+  try {
+    return await collect(page => storage.queryItems(TABLES.DOCUMENTS, {
+      keyValue: businessId,
+      descending: true,
+      ...page
+    }), { limit, cursor });
+  } catch (error) {
+    console.error('Error listing business documents:', error);
+    throw error;
+  }
+}
+
+export async function listBusinessChunks(businessId, { category = null, limit = 25, cursor = null } = {}) {
+  try {
+    return await collect(page => storage.queryItems(TABLES.CHUNKS, {
+      keyValue: businessId,
+      filters: category ? [{ attr: 'category', op: '=', value: category }] : [],
+      ...page
+    }), { limit, cursor });
+  } catch (error) {
+    console.error('Error listing business chunks:', error);
+    throw error;
+  }
+}
+
+export async function listBusinessSessions(businessId, { since = null, limit = 25, cursor = null } = {}) {
+  try {
+    return await collect(page => storage.queryItems(TABLES.CHAT_SESSIONS, {
+      keyValue: businessId,
+      filters: since ? [{ attr: 'started_at', op: '>=', value: since }] : [],
+      ...page
+    }), { limit, cursor });
+  } catch (error) {
+    console.error('Error listing business sessions:', error);
+    throw error;
+  }
+}
+
+// Leads newest first. followUpBefore matches leads with a follow-up date on or
+// before it, i.e. due ones.
+export async function listBusinessLeads(businessId, { since = null, status = null, assignedTo = null, followUpBefore = null, limit = 25, cursor = null } = {}) {
+  const filters = [];
+  if (since) filters.push({ attr: 'created_at', op: '>=', value: since });
+  if (status) filters.push({ attr: 'status', op: '=', value: status });
+  if (assignedTo !== null) filters.push({ attr: 'assigned_to', op: '=', value: assignedTo });
+  if (followUpBefore) filters.push({ attr: 'follow_up_date', op: '<=', value: followUpBefore });
+  
+  try {
+    return await collect(page => storage.queryItems(TABLES.LEADS, {
+      index: 'CreatedAtIndex',
+      keyValue: businessId,
+      filters,
+      descending: true,
+      ...page
+    }), { limit, cursor });
+  } catch (error) {
+    console.error('Error listing business leads:', error);
+    throw error;
+  }
+}
+
+// Bookings. Each booking holds a count in BOOKING_SLOTS for every slot it
+// covers (see lib/booking.mjs); claiming a slot is a conditional increment on
+// the count that was read, retried a few times when another booking got there
+// first.
+const SLOT_CLAIM_ATTEMPTS = 5;
+
+async function claimSlot(businessId, slot, capacity) {
+  for (let attempt = 0; attempt < SLOT_CLAIM_ATTEMPTS; attempt++) {
+    const current = await storage.getItem(TABLES.BOOKING_SLOTS, { business_id: businessId, slot });
+    const booked = current?.booked ?? null;
+    if ((booked || 0) >= capacity) return false;
+    try {
+      await storage.updateItem(TABLES.BOOKING_SLOTS, { business_id: businessId, slot }, {
+        add: { booked: 1 },
+        expect: { booked }
+      });
+      return true;
+    } catch (error) {
+      if (error.name !== 'ConditionalCheckFailedException') throw error;
+    }
+  }
+  return false;
+}
+
+async function releaseSlots(businessId, slots) {
+  for (const slot of slots) {
+    await storage.updateItem(TABLES.BOOKING_SLOTS, { business_id: businessId, slot }, { add: { booked: -1 } });
+  }
+}
+
+// { slotKey: bookings } for one resource's slots on a date.
+export async function getBookingSlotCounts(businessId, resourceId, date) {
+  try {
+    const result = await collect(page => storage.queryItems(TABLES.BOOKING_SLOTS, {
+      keyValue: businessId,
+      sortKeyPrefix: `${resourceId}#${date}T`,
+      ...page
+    }));
+    
+    return Object.fromEntries(result.items.map(item => [item.slot, item.booked || 0]));
+  } catch (error) {
+    console.error('Error getting booking slot counts:', error);
+    throw error;
+  }
+}
+
+// Books `data.resource` at `data.date` `data.time` (the business's wall
+// clock) if every slot it covers has room. Returns the booking, or null when
+// a slot filled up in the meantime.
+export async function createBooking(business, sessionId, data, config) {
+  const { resource, date, time } = data;
+  const slots = slotKeys(config, resource, date, time);
+  const claimed = [];
+  
+  try {
+    for (const slot of slots) {
+      if (!await claimSlot(business.id, slot, resource.capacity || 1)) {
+        await releaseSlots(business.id, claimed.splice(0));
+        return null;
+      }
+      claimed.push(slot);
+    }
+    
+    const id = uuid();
+    const startsAt = zonedTimeToUtc(date, time, config.timezone);
+    const duration = resource.duration_minutes || config.slot_minutes;
+    const booking = {
+      business_id: business.id,
+      id,
+      reference: bookingReference(id),
+      session_id: sessionId,
+      resource_id: resource.id,
+      resource_name: resource.name,
+      date,
+      time,
+      timezone: config.timezone,
+      duration_minutes: duration,
+      starts_at: startsAt.toISOString(),
+      ends_at: new Date(startsAt.getTime() + duration * 60000).toISOString(),
+      name: data.name,
+      email: data.email,
+      phone: data.phone || '',
+      notes: data.notes || '',
+      status: 'confirmed',
+      slots,
+      created_at: new Date().toISOString()
+    };
+    await storage.putItem(TABLES.BOOKINGS, booking);
+    
+    return booking;
+  } catch (error) {
+    console.error('Error creating booking:', error);
+    // Slots held for a booking that was never stored would stay taken for good
+    await releaseSlots(business.id, claimed).catch(releaseError => console.error('Error releasing booking slots:', releaseError));
+    throw error;
+  }
+}
+
+export async function getBooking(businessId, bookingId) {
+  try {
+    return await storage.getItem(TABLES.BOOKINGS, { business_id: businessId, id: bookingId });
+  } catch (error) {
+    console.error('Error getting booking:', error);
+    throw error;
+  }
+}
+
+// Cancels a confirmed booking and frees its slots. Returns false if it was
+// already cancelled.
+export async function cancelBooking(businessId, bookingId, cancelledBy = '') {
+  try {
+    const booking = await getBooking(businessId, bookingId);
+    if (!booking) {
+      throw new Error('Booking not found');
+    }
+    await storage.updateItem(TABLES.BOOKINGS, { business_id: businessId, id: bookingId }, {
+      set: { status: 'cancelled', cancelled_at: new Date().toISOString(), cancelled_by: cancelledBy },
+      expect: { status: 'confirmed' },
+      mustExist: true
+    });
+    await releaseSlots(businessId, booking.slots || []);
+    
+    return true;
+  } catch (error) {
+    if (error.name === 'ConditionalCheckFailedException') return false;
+    console.error('Error cancelling booking:', error);
+    throw error;
+  }
+}
+
+// A business's bookings in start time order, from `from` (an ISO instant) on.
+// Filters: status, resourceId and `to`.
+export async function listBusinessBookings(businessId, { from = null, to = null, status = null, resourceId = null, limit = 25, cursor = null } = {}) {
+  const filters = [];
+  if (from) filters.push({ attr: 'starts_at', op: '>=', value: from });
+  if (to) filters.push({ attr: 'starts_at', op: '<', value: to });
+  if (status) filters.push({ attr: 'status', op: '=', value: status });
+  if (resourceId) filters.push({ attr: 'resource_id', op: '=', value: resourceId });
+  
+  try {
+    return await collect(page => storage.queryItems(TABLES.BOOKINGS, {
+      index: 'StartsAtIndex',
+      keyValue: businessId,
+      filters,
+      ...page
+    }), { limit, cursor });
+  } catch (error) {
+    console.error('Error listing business bookings:', error);
+    throw error;
+  }
+}
+
+// Retention: each business may cap how long chat data is kept. Messages and
+// sessions older than their limit are deleted, visitor IP and user agent are
+// blanked on sessions older than ip_retention_days, and leads and bookings are
+// only removed when lead_retention_days or booking_retention_days is set. Ages
+// are measured from the message timestamp, the session start, the lead
+// creation time and the end of the booking respectively.
+export async function applyRetentionPolicy(business, { dryRun = false, now = new Date() } = {}) {
+  const cutoff = (days) => days ? new Date(now.getTime() - days * 24 * 60 * 60 * 1000).toISOString() : null;
+  const messagesBefore = cutoff(business.message_retention_days);
+  const sessionsBefore = cutoff(business.session_retention_days);
+  const ipBefore = cutoff(business.ip_retention_days);
+  const leadsBefore = cutoff(business.lead_retention_days);
+  const bookingsBefore = cutoff(business.booking_retention_days);
+  const result = { businessId: business.id, messagesDeleted: 0, sessionsDeleted: 0, sessionsAnonymized: 0, leadsDeleted: 0, bookingsDeleted: 0 };
+  
+  try {
+    if (messagesBefore || sessionsBefore || ipBefore) {
+      const sessions = await collect(page => storage.queryItems(TABLES.CHAT_SESSIONS, { keyValue: business.id, ...page }));
+      
+      for (const session of sessions.items) {
+        const expired = sessionsBefore && session.started_at < sessionsBefore;
+        
+        if (expired || messagesBefore) {
+          // Sort keys cannot be used in DynamoDB filter expressions, so age is checked here.
+          const messages = await collect(page => storage.queryItems(TABLES.MESSAGES, { keyValue: session.id, ...page }));
+          let deleted = 0;
+          for (const message of messages.items) {
+            if (!expired && message.timestamp >= messagesBefore) continue;
+            if (!dryRun) await storage.deleteItem(TABLES.MESSAGES, { session_id: session.id, timestamp: message.timestamp });
+            deleted++;
+          }
+          result.messagesDeleted += deleted;
+          // Kept sessions count only the messages they still have
+          const uncounted = Math.min(deleted, session.total_messages || 0);
+          if (!dryRun && !expired && uncounted) {
+            await storage.updateItem(TABLES.CHAT_SESSIONS, { business_id: business.id, id: session.id }, {
+              add: { total_messages: -uncounted },
+              mustExist: true
+            });
+          }
+        }
+        
+        if (expired) {
+          if (!dryRun) await storage.deleteItem(TABLES.CHAT_SESSIONS, { business_id: business.id, id: session.id });
+          result.sessionsDeleted++;
+        } else if (ipBefore && session.started_at < ipBefore && (session.user_ip || session.user_agent)) {
+          if (!dryRun) {
+            await storage.updateItem(TABLES.CHAT_SESSIONS, { business_id: business.id, id: session.id }, {
+              set: { user_ip: '', user_agent: '', anonymized_at: now.toISOString() },
+              mustExist: true
+            });
+          }
+          result.sessionsAnonymized++;
+        }
+      }
+    }
+    
+    if (leadsBefore) {
+      const leads = await collect(page => storage.queryItems(TABLES.LEADS, {
+        keyValue: business.id,
+        filters: [{ attr: 'created_at', op: '<', value: leadsBefore }],
+        ...page
+      }));
+      for (const lead of leads.items) {
+        if (!dryRun) await storage.deleteItem(TABLES.LEADS, { business_id: business.id, id: lead.id });
+        result.leadsDeleted++;
+      }
+    }
+    
+    if (bookingsBefore) {
+      const bookings = await collect(page => storage.queryItems(TABLES.BOOKINGS, {
+        keyValue: business.id,
+        filters: [{ attr: 'ends_at', op: '<', value: bookingsBefore }],
+        ...page
+      }));
+      for (const booking of bookings.items) {
+        if (!dryRun) {
+          // Deleted first: a sweep interrupted in between leaves a past slot
+          // taken rather than freeing it twice on the next run.
+          await storage.deleteItem(TABLES.BOOKINGS, { business_id: business.id, id: booking.id });
+          if (booking.status === 'confirmed') await releaseSlots(business.id, booking.slots || []);
+        }
+        result.bookingsDeleted++;
+      }
+    }
+    
+    return result;
+  } catch (error) {
+    console.error('Error applying retention policy:', error);
+    throw error;
+  }
+}
+
+// Run applyRetentionPolicy for every business that has a limit configured.
+export async function sweepRetention({ dryRun = false, now = new Date() } = {}) {
+  try {
+    const businesses = await collect(page => storage.scanItems(TABLES.BUSINESSES, {
+      attributes: ['id', 'slug', ...RETENTION_FIELDS],
+      ...page
+    }));
+    
+    const results = [];
+    for (const business of businesses.items) {
+      if (!RETENTION_FIELDS.some(field => business[field])) continue;
+      results.push({ slug: business.slug, ...(await applyRetentionPolicy(business, { dryRun, now })) });
+    }
+    
+    return results;
+  } catch (error) {
+    console.error('Error sweeping retention:', error);
+    throw error;
+  }
+}
+
+// Offboarding: erase everything stored under a business_id across all tables
+// and report per-table counts. With `dryRun` the same items are counted but
+// nothing is deleted. The business row goes last, so an erasure interrupted
+// part-way can simply be run again.
+export async function deleteBusinessData(businessId, { dryRun = false } = {}) {
+  const removed = { chunks: 0, documents: 0, messages: 0, sessions: 0, leads: 0, bookings: 0, bookingSlots: 0, businesses: 0 };
+  const remove = async (kind, table, key) => {
+    if (!dryRun) await storage.deleteItem(table, key);
+    removed[kind]++;
+  };
+  const allFor = (table, keyValue) => collect(page => storage.queryItems(table, { keyValue, ...page }));
+  
+  try {
+    const business = await getBusinessById(businessId);
+    
+    for (const chunk of (await allFor(TABLES.CHUNKS, businessId)).items) {
+      await remove('chunks', TABLES.CHUNKS, { business_id: businessId, chunk_id: chunk.chunk_id });
+    }
+    for (const document of (await allFor(TABLES.DOCUMENTS, businessId)).items) {
+      await remove('documents', TABLES.DOCUMENTS, { business_id: businessId, id: document.id });
+    }
+    for (const session of (await allFor(TABLES.CHAT_SESSIONS, businessId)).items) {
+      for (const message of (await allFor(TABLES.MESSAGES, session.id)).items) {
+        await remove('messages', TABLES.MESSAGES, { session_id: session.id, timestamp: message.timestamp });
+      }
+      await remove('sessions', TABLES.CHAT_SESSIONS, { business_id: businessId, id: session.id });
+    }
+    for (const lead of (await allFor(TABLES.LEADS, businessId)).items) {
+      await remove('leads', TABLES.LEADS, { business_id: businessId, id: lead.id });
+    }
+    for (const booking of (await allFor(TABLES.BOOKINGS, businessId)).items) {
+      await remove('bookings', TABLES.BOOKINGS, { business_id: businessId, id: booking.id });
+    }
+    for (const slot of (await allFor(TABLES.BOOKING_SLOTS, businessId)).items) {
+      await remove('bookingSlots', TABLES.BOOKING_SLOTS, { business_id: businessId, slot: slot.slot });
+    }
+    if (business) {
+      await remove('businesses', TABLES.BUSINESSES, { id: businessId });
+    }
+    
+    return {
+      businessId,
+      name: business?.name ?? null,
+      slug: business?.slug ?? null,
+      dryRun,
+      removed,
+      total: Object.values(removed).reduce((sum, n) => sum + n, 0),
+      completedAt: new Date().toISOString()
+    };
+  } catch (error) {
+    console.error('Error deleting business data:', error);
+    throw error;
+  }
+}
+
 export async function initializeDatabase() {
-  console.log('✅ DynamoDB client initialized');
+  await storage.init();
   return true;
 }
@@ -4,6 +4,7 @@ import csv from 'csv-parser';
 import { createReadStream } from 'fs';
 import mammoth from 'mammoth';
 import * as XLSX from 'xlsx';
+import { describeWeekly, openingHoursOf } from './hours.mjs';
 
 export class FileProcessor {
   /**
@@ -272,6 +273,8 @@ export class FileProcessor {
   /**
    * Extract phone(s), whatsapp, email, address, website, and operating hours.
    * Robust to header variants and label variants (e.g., "Phone/WhatsApp").
+   * Hours are kept as written and, where they can be read in full, as a weekly
+   * schedule: a partial one would show the days it couldn't read as closed.
    */
   static extractContactInfo(fullText) {
     const text = fullText || '';
@@ -409,6 +412,7 @@ export class FileProcessor {
       });
       hours = lines.slice(0, stopAt === -1 ? undefined : stopAt).join('\n').trim() || null;
     }
+    const schedule = openingHoursOf({ hours })?.weekly || null;
 
     // If nothing was found, return null to avoid noise
     if (phones.length === 0 && !email && !address && !website && !hours) {
@@ -423,7 +427,8 @@ export class FileProcessor {
       email,
       address,
       website,
-      hoursPreview: hours ? hours.slice(0, 80) + (hours.length > 80 ? '…' : '') : null
+      hoursPreview: hours ? hours.slice(0, 80) + (hours.length > 80 ? '…' : '') : null,
+      schedule: schedule ? describeWeekly(schedule) : null
     });
 
     return {
@@ -432,7 +437,8 @@ export class FileProcessor {
       email,
       address,
       website,
-      hours
+      hours,
+      schedule
     };
   }
 
@@ -443,7 +449,7 @@ export class FileProcessor {
     const info = FileProcessor.extractContactInfo(cleanedText);
     if (!info) return cleanedText;
 
-    const { phones, whatsapp, email, address, website, hours } = info;
+    const { phones, whatsapp, email, address, website, hours, schedule } = info;
 
     const phoneLine = phones && phones.length
       ? `Phone: ${phones.join(' , ')}`
@@ -457,6 +463,7 @@ export class FileProcessor {
     const addressLine = address ? `Address: ${address}` : null;
     const websiteLine = website ? `Website: ${website}` : null;
     const hoursBlock = hours ? `Hours:\n${hours}` : null;
+    const scheduleLine = schedule ? `Weekly hours: ${describeWeekly(schedule)}` : null;
 
     const cardLines = [
       '=== CONTACT_CARD ===',
@@ -466,6 +473,7 @@ export class FileProcessor {
       addressLine,
       websiteLine,
       hoursBlock,
+      scheduleLine,
       '=== END_CONTACT_CARD ==='
     ].filter(Boolean);
 
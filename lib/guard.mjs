@@ -0,0 +1,107 @@
+// guard.mjs - prompt-injection and jailbreak detection
+//
+// Visitor messages and uploaded documents are untrusted: either may try to
+// override the assistant's rules, extract its prompt or talk it into promises
+// the business never made. Text is scored against known attack patterns;
+// strong patterns block on their own, weak ones only in combination.
+
+const PATTERNS = [
+  {
+    name: 'ignore_instructions',
+    weight: 1,
+    pattern: /\b(ignore|disregard|forget|override|bypass)\b[^.!?\n]{0,40}\b(previous|prior|above|earlier|all|any|your|the|these|system)\b[^.!?\n]{0,20}\b(instructions?|rules?|prompts?|guidelines|directions|policies)\b/i
+  },
+  {
+    name: 'reveal_prompt',
+    weight: 1,
+    // "your rules for cancellation" and "the instructions you were given by the
+    // manager" are policy questions, not extraction attempts
+    pattern: /\b(reveal|show|print|repeat|display|output|leak|tell me|what (is|are|were))\b[^.!?\n]{0,40}\b(system prompt|initial prompt|hidden prompt|your (original |initial |full |exact )?(instructions|prompt)\b(?!\s+(for|on|about|regarding|to)\b)|your (hidden|secret|original|initial|internal) (rules|guidelines)|(the )?instructions (above|you were given\b(?!\s+(by|for|from|on|about|regarding|to)\b)))/i
+  },
+  {
+    name: 'jailbreak',
+    weight: 1,
+    // "no limits" or "without restrictions", and DAN or the jailbreak modes,
+    // only when said of the assistant itself. DAN only in capitals ("I'm Dan",
+    // "Chef Dan" are names).
+    pattern: [
+      /\bdo anything now\b|\b(you are|you're|you have|answer|respond|reply|act|operate)\b[^.!?\n]{0,15}\b(no|without( any)?|free of( any| all)?)\s+(restrictions|filters|censorship|limitations|limits|rules|guidelines)\b|\b(you are|you're|you will be|act as|act in|become|stay in|remain in)\b[^.!?\n]{0,15}\b(developer|god|jailbreak|jailbroken) mode\b/i,
+      /\b([Yy]ou are|[Yy]ou're|[Yy]ou will be|[Aa]ct as|[Bb]ecome|[Ss]tay|[Rr]emain)\b[^.!?\n]{0,15}\bDAN\b/
+    ]
+  },
+  {
+    name: 'fake_system_message',
+    weight: 1,
+    // A "System:" or "Developer:" line only counts when it goes on to give
+    // orders ("Developer: Acme Corp" is a credit), and prompt headings only in
+    // the capitals the prompt uses
+    pattern: [
+      /(^|\n)\s*(system|developer)\s*:\s*(you|your|ignore|disregard|forget|override|new (instructions|rules)|from now|act as|pretend|the assistant)\b|\b(system|developer) (message|prompt|override)\s*:|<\/?(system|instructions?|context)>|\[\/?INST\]|<\|im_(start|end)\|>/i,
+      /^\s*(RESPONSE GUIDELINES|BUSINESS INFORMATION|CONFIDENCE)\s*:/m
+    ]
+  },
+  {
+    name: 'role_override',
+    weight: 0.5,
+    pattern: /\b(you are now|from now on,? you|pretend (to be|you are|you're)|act as (if|an?|my)|roleplay as|your new (role|persona|name) is)\b/i
+  },
+  {
+    name: 'forced_promise',
+    weight: 0.5,
+    pattern: /\b(say|confirm|state|promise|agree|write)\b[^.!?\n]{0,20}\b(that|you)\b[^.!?\n]{0,60}\b(discount|free of charge|for free|\d+\s*% off|refund|cashback|coupon)\b/i
+  },
+  {
+    name: 'jailbreak_terms',
+    weight: 0.5,
+    // Alone these are just as likely a question about a phone ("How do I
+    // enable developer mode?") or a product name
+    pattern: [/\b(jailbreak|jailbroken|developer mode|god mode)\b/i, /\bDAN\b/]
+  }
+];
+
+// Total weight at which text counts as an attack.
+const BLOCK_SCORE = 1;
+
+// The patterns matched in `text` and whether together they amount to an attack.
+// An entry with several regexes matches when any of them does.
+export function scanForInjection(text) {
+  const matched = PATTERNS.filter(({ pattern }) => [pattern].flat().some(regex => regex.test(text || '')));
+  const score = matched.reduce((sum, { weight }) => sum + weight, 0);
+  return { patterns: matched.map(({ name }) => name), blocked: score >= BLOCK_SCORE };
+}
+
+// Phrases only the system prompt contains; a reply quoting them is leaking it.
+const PROMPT_FINGERPRINTS = [
+  'RESPONSE GUIDELINES (always apply',
+  'BUSINESS INFORMATION (authoritative fallback',
+  'CONTEXT (retrieved knowledge)',
+  'rating how fully the CONTEXT'
+];
+
+export function leaksSystemPrompt(reply) {
+  return PROMPT_FINGERPRINTS.some(phrase => (reply || '').includes(phrase));
+}
+
+// Streaming counterpart of leaksSystemPrompt: how much of a partial reply can
+// be shown. A tail that may still grow into a fingerprint is held back, and
+// nothing from the first fingerprint on is ever released, so a leaking reply
+// can be swapped for the guard reply before its prompt quote reaches the visitor.
+export function leakSafeLength(reply) {
+  let safe = reply.length;
+  for (const phrase of PROMPT_FINGERPRINTS) {
+    const found = reply.indexOf(phrase);
+    if (found >= 0) safe = Math.min(safe, found);
+    for (let size = Math.min(phrase.length - 1, reply.length); size > 0; size--) {
+      if (reply.endsWith(phrase.slice(0, size))) {
+        safe = Math.min(safe, reply.length - size);
+        break;
+      }
+    }
+  }
+  return safe;
+}
+
+export function guardReply(business) {
+  return business.guard_message
+    || `I can only help with questions about ${business.name}. Is there something about our products or services I can help you with?`;
+}
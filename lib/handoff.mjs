@@ -0,0 +1,57 @@
+// handoff.mjs - live handoff from the bot to a human agent
+//
+// The handoff state itself lives on the session (see requestHandoff and
+// friends in database.mjs). This module carries the live part: visitors'
+// widgets and agents' inboxes hold Server-Sent Events streams, and the hub
+// fans events out to them. Agents count as online while an inbox stream of
+// theirs is open. The hub is in-process: with several server instances, live
+// events only reach streams held by the instance that produced them. Messages
+// are stored either way and show up when the inbox or transcript is reloaded.
+
+// Visitor phrases asking for a person rather than the bot.
+const HUMAN_REQUEST = /\b(human|real person|live (agent|person|chat)|(an?|the) agent|representative|(speak|talk|chat) (to|with) (someone|somebody|a person|a real person|staff|your team|a member of (your|the) team))\b/i;
+
+export function wantsHuman(message) {
+  return HUMAN_REQUEST.test(message || '');
+}
+
+export class HandoffHub {
+  constructor() {
+    this.sessions = new Map(); // sessionId -> Map of send function -> true
+    this.inboxes = new Map(); // businessId -> Map of send function -> agent name
+  }
+
+  // Returns a function that ends the subscription.
+  subscribeSession(sessionId, send) {
+    return this.subscribe(this.sessions, sessionId, send, true);
+  }
+
+  subscribeInbox(businessId, agentName, send) {
+    return this.subscribe(this.inboxes, businessId, send, agentName);
+  }
+
+  subscribe(channels, key, send, value) {
+    if (!channels.has(key)) channels.set(key, new Map());
+    channels.get(key).set(send, value);
+    return () => {
+      const subscribers = channels.get(key);
+      subscribers?.delete(send);
+      if (subscribers && !subscribers.size) channels.delete(key);
+    };
+  }
+
+  publishToSession(sessionId, event, data) {
+    for (const send of this.sessions.get(sessionId)?.keys() || []) send(event, data);
+  }
+
+  publishToInbox(businessId, event, data) {
+    for (const send of this.inboxes.get(businessId)?.keys() || []) send(event, data);
+  }
+
+  // Distinct names of the agents with an inbox open.
+  agentsOnline(businessId) {
+    return [...new Set(this.inboxes.get(businessId)?.values() || [])];
+  }
+}
+
+export const handoffHub = new HandoffHub();
@@ -0,0 +1,376 @@
+// hours.mjs - weekly schedules and wall-clock time in a business's time zone
+//
+// A weekly schedule maps weekday keys (mon … sun) to lists of "HH:MM-HH:MM"
+// ranges; a day that is missing or has an empty list is closed. Ranges can't
+// run past midnight; "24:00" ends a range at the end of the day. Dates are
+// plain "YYYY-MM-DD" strings on the business's wall clock, and conversion to
+// real instants goes through Intl so daylight-saving changes are respected.
+//
+// A business's opening hours (its `opening_hours` field) are a weekly
+// schedule plus exceptions: dated days (holidays, special openings) with their
+// own ranges, an empty list meaning closed. Businesses that only have the
+// free-text `hours` get a schedule parsed from it where the text allows.
+
+export const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+const DAY_NAMES = {
+  sun: 'Sunday', mon: 'Monday', tue: 'Tuesday', wed: 'Wednesday', thu: 'Thursday', fri: 'Friday', sat: 'Saturday'
+};
+
+// How far ahead openStatus looks for the next opening or closing.
+const LOOKAHEAD_DAYS = 14;
+const MAX_EXCEPTIONS = 100;
+
+const RANGE = /^([01]\d|2[0-3]):([0-5]\d)-(?:([01]\d|2[0-3]):([0-5]\d)|(24):(00))$/;
+
+const pad = (n) => String(n).padStart(2, '0');
+
+export function toMinutes(time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+export function toClock(minutes) {
+  return `${pad(Math.floor(minutes / 60))}:${pad(minutes % 60)}`;
+}
+
+// "09:00-17:30" -> [540, 1050], or null when malformed or not increasing.
+export function parseRange(range) {
+  const match = String(range).replace(/\s+/g, '').match(RANGE);
+  if (!match) return null;
+  const start = toMinutes(`${match[1]}:${match[2]}`);
+  const end = match[5] ? 24 * 60 : toMinutes(`${match[3]}:${match[4]}`);
+  return end > start ? [start, end] : null;
+}
+
+// One day's ranges tidied and sorted, or null when any is invalid.
+// Overlapping ranges are rejected rather than merged.
+function normalizeRanges(ranges) {
+  if (!Array.isArray(ranges) || ranges.length > 6) return null;
+  const parsed = ranges.map(parseRange);
+  if (parsed.some(range => !range)) return null;
+  parsed.sort((a, b) => a[0] - b[0]);
+  if (parsed.some((range, i) => i && range[0] < parsed[i - 1][1])) return null;
+  return parsed.map(([start, end]) => `${toClock(start)}-${toClock(end)}`);
+}
+
+// The schedule with ranges tidied and sorted, or null when it is invalid.
+export function normalizeWeeklyHours(value) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) return null;
+  const schedule = {};
+  for (const [day, ranges] of Object.entries(value)) {
+    const normalized = WEEKDAYS.includes(day) && normalizeRanges(ranges);
+    if (!normalized) return null;
+    schedule[day] = normalized;
+  }
+  return schedule;
+}
+
+export const isDate = (date) => typeof date === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(date) && addDays(date, 0) === date;
+
+// { weekly, exceptions: [{ date, note, hours }] } with exceptions sorted by
+// date, or null when invalid. An exception without hours is a closed day.
+export function normalizeOpeningHours(value) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) return null;
+  const weekly = normalizeWeeklyHours(value.weekly ?? {});
+  const exceptions = value.exceptions ?? [];
+  if (!weekly || !Array.isArray(exceptions) || exceptions.length > MAX_EXCEPTIONS) return null;
+  const normalized = [];
+  for (const exception of exceptions) {
+    if (!isDate(exception?.date) || normalized.some(other => other.date === exception.date)) return null;
+    if (exception.note != null && (typeof exception.note !== 'string' || exception.note.length > 80)) return null;
+    const hours = normalizeRanges(exception.hours ?? []);
+    if (!hours) return null;
+    normalized.push({ date: exception.date, note: exception.note?.trim() || '', hours });
+  }
+  normalized.sort((a, b) => a.date.localeCompare(b.date));
+  return { weekly, exceptions: normalized };
+}
+
+export function weekdayOf(date) {
+  return WEEKDAYS[new Date(`${date}T12:00:00Z`).getUTCDay()];
+}
+
+export function addDays(date, days) {
+  const next = new Date(`${date}T12:00:00Z`);
+  next.setUTCDate(next.getUTCDate() + days);
+  return next.toISOString().slice(0, 10);
+}
+
+// Open ranges of `schedule` on `date`, as [startMinute, endMinute] pairs.
+export function rangesOn(schedule, date) {
+  return (schedule?.[weekdayOf(date)] || []).map(parseRange).filter(Boolean);
+}
+
+export function exceptionOn(openingHours, date) {
+  return openingHours?.exceptions?.find(exception => exception.date === date) || null;
+}
+
+// Like rangesOn, for opening hours: an exception on `date` replaces the
+// weekly schedule for that day.
+export function openRanges(openingHours, date) {
+  const exception = exceptionOn(openingHours, date);
+  return exception ? exception.hours.map(parseRange).filter(Boolean) : rangesOn(openingHours?.weekly, date);
+}
+
+// The business's opening hours, or ones parsed from its free-text `hours`
+// when none are stored. null when neither is usable; text that can only be
+// read in part doesn't count, since the days it couldn't read would pass as closed.
+export function openingHoursOf(business) {
+  if (business?.opening_hours) return business.opening_hours;
+  const parsed = parseHoursText(business?.hours);
+  return parsed && !parsed.unparsed.length ? { weekly: parsed.weekly, exceptions: [] } : null;
+}
+
+// Wall-clock date, time and weekday of `instant` in `timeZone`.
+export function zonedParts(instant, timeZone) {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    weekday: 'short'
+  }).formatToParts(instant).map(part => [part.type, part.value]));
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    time: `${parts.hour}:${parts.minute}`,
+    weekday: parts.weekday.toLowerCase()
+  };
+}
+
+// The instant at which the clock in `timeZone` reads `date` `time`. Starts
+// from the same reading in UTC and corrects by the zone's offset, twice so a
+// daylight-saving change between the two readings is picked up.
+export function zonedTimeToUtc(date, time, timeZone) {
+  const wall = Date.parse(`${date}T00:00:00Z`) + toMinutes(time) * 60000;
+  let instant = wall;
+  for (let i = 0; i < 2; i++) {
+    const seen = zonedParts(new Date(instant), timeZone);
+    instant += wall - (Date.parse(`${seen.date}T00:00:00Z`) + toMinutes(seen.time) * 60000);
+  }
+  return new Date(instant);
+}
+
+// Whether the business is open at `now`: { open: true, closes } or
+// { open: false, opens }, where closes/opens are { date, time } on its wall
+// clock, or null when nothing changes within LOOKAHEAD_DAYS. Ranges that end
+// at midnight run on into a range starting at midnight the next day.
+export function openStatus(openingHours, timeZone, now = new Date()) {
+  const { date: today, time } = zonedParts(now, timeZone);
+  const minute = toMinutes(time);
+  const current = openRanges(openingHours, today).find(([start, end]) => start <= minute && minute < end);
+  if (current) {
+    let date = today;
+    let end = current[1];
+    for (let day = 0; end === 24 * 60 && day < LOOKAHEAD_DAYS; day++) {
+      const next = openRanges(openingHours, addDays(date, 1)).find(([start]) => start === 0);
+      if (!next) return { open: true, closes: { date, time: '24:00' } };
+      date = addDays(date, 1);
+      end = next[1];
+    }
+    return { open: true, closes: end === 24 * 60 ? null : { date, time: toClock(end) } };
+  }
+  for (let day = 0; day <= LOOKAHEAD_DAYS; day++) {
+    const date = addDays(today, day);
+    const next = openRanges(openingHours, date).find(([start]) => day > 0 || start > minute);
+    if (next) return { open: false, opens: { date, time: toClock(next[0]) } };
+  }
+  return { open: false, opens: null };
+}
+
+// -------------------- Free text --------------------
+const DAY = '\\b(?:mon(?:day)?|tue(?:s|sday)?|wed(?:s|nesday)?|thu(?:r|rs|rsday)?|fri(?:day)?|sat(?:urday)?|sun(?:day)?)s?\\b\\.?';
+const CLOCK = '(?:(?<!\\d)\\d{1,2}(?:[:.]\\d{2})?(?!\\d)\\s*(?:[ap]\\.?m?\\.?(?![a-z]))?|noon|midday|midnight)';
+const TO = '\\s*(?:-|–|—|to|till|until|through|thru)\\s*';
+const TOKEN = new RegExp([
+  '(?<always>24\\s*/\\s*7)',
+  '(?<allDay>\\b24\\s*(?:hours|hrs|h)\\b)',
+  '(?<closed>\\bclosed\\b)',
+  `(?<days>${DAY}(?:${TO}${DAY})?|\\bdaily\\b|\\bevery\\s*day\\b|\\b7\\s*days(?:\\s*a\\s*week)?|\\bweekdays\\b|\\bweekends?\\b)`,
+  `(?<range>${CLOCK}${TO}${CLOCK})`
+].join('|'), 'gi');
+const CLOCK_RANGE = new RegExp(`^(${CLOCK})${TO}(${CLOCK})$`, 'i');
+const MERIDIEM = /[ap]\.?m?\.?(?![a-z])|noon|midday|midnight/i;
+
+const WEEK = ['mon', 'tue', 'wed', 'thu', 'fri', 'sat', 'sun'];
+
+function daysOf(text) {
+  const words = text.toLowerCase();
+  if (/daily|every|7/.test(words)) return WEEK;
+  if (/weekdays/.test(words)) return WEEK.slice(0, 5);
+  if (/weekend/.test(words)) return ['sat', 'sun'];
+  const [from, to] = words.match(/mon|tue|wed|thu|fri|sat|sun/g);
+  if (!to) return [from];
+  const days = [from];
+  for (let i = (WEEK.indexOf(from) + 1) % 7; WEEK[i] !== to; i = (i + 1) % 7) days.push(WEEK[i]);
+  return [...days, to];
+}
+
+// "9", "9:30", "5pm", "noon" -> { hours, minutes, meridiem }, or null.
+function parseClock(text) {
+  const clock = text.toLowerCase().replace(/[\s.]/g, '');
+  if (clock === 'noon' || clock === 'midday') return { hours: 12, minutes: 0, meridiem: 'p' };
+  if (clock === 'midnight') return { hours: 12, minutes: 0, meridiem: 'a' };
+  const match = clock.match(/^(\d{1,2})(?::?(\d{2}))?(?:([ap])m?)?$/);
+  if (!match) return null;
+  const [hours, minutes, meridiem] = [Number(match[1]), Number(match[2] || 0), match[3] || null];
+  if (minutes > 59 || hours > 24 || (meridiem && (hours < 1 || hours > 12))) return null;
+  return { hours, minutes, meridiem };
+}
+
+// Minutes of a free-text range. A missing am/pm is taken from the other end
+// ("9-5pm") or guessed so the range runs forward ("9-5" is 9:00-17:00). The
+// end may be before the start when the range runs past midnight.
+function clockRange(text) {
+  const [, from, to] = text.match(CLOCK_RANGE).map(parseClock);
+  if (!from || !to) return null;
+  const at = (clock, meridiem) => meridiem
+    ? (clock.hours % 12) * 60 + (meridiem === 'p' ? 720 : 0) + clock.minutes
+    : clock.hours * 60 + clock.minutes;
+  let start = at(from, from.meridiem || to.meridiem);
+  let end = at(to, to.meridiem || from.meridiem);
+  if (!from.meridiem && to.meridiem && start >= end) start = at(from, 'a');
+  if (from.meridiem && !to.meridiem && end <= start) end = at(to, 'p');
+  if (!from.meridiem && !to.meridiem && end <= start && end + 720 > start && to.hours < 12) end += 720;
+  if (end === 0) end = 24 * 60;
+  return start < 24 * 60 && end !== start ? [start, end] : null;
+}
+
+// Merge overlapping or touching ranges of one day.
+function mergeRanges(ranges) {
+  const merged = [];
+  for (const [start, end] of [...ranges].sort((a, b) => a[0] - b[0])) {
+    const last = merged[merged.length - 1];
+    if (last && start <= last[1]) last[1] = Math.max(last[1], end);
+    else merged.push([start, end]);
+  }
+  return merged;
+}
+
+// Weekly schedule read from free text such as "Mon-Fri 9am-6pm; Sat 10-2;
+// Sunday closed": { weekly, unparsed }, where unparsed lists the lines that
+// looked like hours but couldn't be read (e.g. "Closed on public holidays").
+// Days the text doesn't mention are closed. null when nothing could be read.
+export function parseHoursText(text) {
+  if (typeof text !== 'string' || !text.trim()) return null;
+  const days = {};
+  const overnight = [];
+  const unparsed = [];
+  for (const line of text.split(/[\n;|]+/).map(line => line.trim()).filter(Boolean)) {
+    const tokens = [...line.matchAll(TOKEN)].map(match => Object.entries(match.groups).find(([, value]) => value));
+    if (!tokens.length) continue;
+    // Tokens form groups of days and their times. Whichever comes first in
+    // the line ("Mon-Fri 9-5" or "9-5 Mon-Fri") decides where a group ends.
+    const daysFirst = ['days', 'always'].includes(tokens[0][0]);
+    const groups = [];
+    let group = null;
+    for (const [kind, value] of tokens) {
+      const isDays = kind === 'days' || kind === 'always';
+      if (!group || (daysFirst ? isDays && group.times : !isDays && group.days.length)) {
+        group = { days: [], ranges: [], times: false, closed: false, allDay: false };
+        groups.push(group);
+      }
+      if (isDays) group.days.push(...(kind === 'always' ? WEEK : daysOf(value)));
+      if (kind === 'always' || kind === 'allDay') group.allDay = group.times = true;
+      if (kind === 'closed') group.closed = group.times = true;
+      if (kind === 'range') {
+        let range = clockRange(value);
+        // A day's ranges run in order, so without am/pm "12-3, 7-11" is
+        // lunch and then dinner rather than lunch and breakfast
+        const previous = group.ranges[group.ranges.length - 1];
+        if (range && previous && !MERIDIEM.test(value) && range[0] < previous[1] && range[1] + 720 <= 24 * 60) {
+          range = [range[0] + 720, range[1] + 720];
+        }
+        if (range) group.ranges.push(range);
+        group.times = true;
+      }
+    }
+    let understood = true;
+    for (const { days: named, ranges, closed, allDay } of groups) {
+      if (!named.length || (!closed && !allDay && !ranges.length)) {
+        understood = false;
+        continue;
+      }
+      for (const day of named) {
+        if (closed) days[day] = [];
+        else if (allDay) days[day] = [[0, 24 * 60]];
+        else {
+          days[day] = ranges.map(([start, end]) => [start, end > start ? end : 24 * 60]);
+          const next = WEEK[(WEEK.indexOf(day) + 1) % 7];
+          overnight.push(...ranges.filter(([start, end]) => end < start).map(([, end]) => [next, [0, end]]));
+        }
+      }
+    }
+    if (!understood) unparsed.push(line);
+  }
+  for (const [day, range] of overnight) {
+    if (days[day]?.length !== 0) days[day] = [...(days[day] || []), range];
+  }
+  if (!Object.keys(days).length) return null;
+  const weekly = Object.fromEntries(WEEK.filter(day => day in days).map(day =>
+    [day, mergeRanges(days[day]).slice(0, 6).map(([start, end]) => `${toClock(start)}-${toClock(end)}`)]));
+  return { weekly, unparsed };
+}
+
+// -------------------- Describing hours --------------------
+const spoken = (time) => time === '24:00' ? 'midnight' : time.replace(/^0(?=\d)/, '');
+
+function describeRanges(ranges) {
+  if (!ranges.length) return 'closed';
+  if (ranges.length === 1 && ranges[0] === '00:00-24:00') return 'open 24 hours';
+  return ranges.map(range => range.split('-').map(spoken).join('-')).join(', ');
+}
+
+// "Mon-Fri 9:00-17:00; Sat 10:00-14:00; Sun closed"
+export function describeWeekly(weekly) {
+  const groups = [];
+  for (const day of WEEK) {
+    const ranges = describeRanges(weekly?.[day] || []);
+    const last = groups[groups.length - 1];
+    if (last?.ranges === ranges) last.days.push(day);
+    else groups.push({ days: [day], ranges });
+  }
+  const label = (day) => day[0].toUpperCase() + day.slice(1);
+  return groups.map(({ days, ranges }) =>
+    `${label(days[0])}${days.length > 1 ? `-${label(days[days.length - 1])}` : ''} ${ranges}`).join('; ');
+}
+
+// "today", "tomorrow", "on Friday" or "on Friday 2026-11-06", relative to `today`.
+function dayPhrase(date, today) {
+  if (date === today) return 'today';
+  if (date === addDays(today, 1)) return 'tomorrow';
+  const name = DAY_NAMES[weekdayOf(date)];
+  return date <= addDays(today, 6) ? `on ${name}` : `on ${name} ${date}`;
+}
+
+// "open, closes at 17:00 today" / "closed, opens at 9:00 tomorrow"
+export function describeStatus(openingHours, timeZone, now = new Date()) {
+  const today = zonedParts(now, timeZone).date;
+  const status = openStatus(openingHours, timeZone, now);
+  if (status.open) {
+    return status.closes ? `open, closes at ${spoken(status.closes.time)} ${dayPhrase(status.closes.date, today)}` : 'open around the clock';
+  }
+  const holiday = exceptionOn(openingHours, today);
+  const closed = holiday && !holiday.hours.length && holiday.note ? `closed today (${holiday.note})` : 'closed';
+  return status.opens
+    ? `${closed}, opens at ${spoken(status.opens.time)} ${dayPhrase(status.opens.date, today)}`
+    : `${closed}, with no opening in the next ${LOOKAHEAD_DAYS} days`;
+}
+
+// System prompt section stating the hours as facts, so the model doesn't
+// have to work out from free text whether the business is open.
+export function hoursPrompt(openingHours, timeZone, now = new Date()) {
+  const { date: today, time, weekday } = zonedParts(now, timeZone);
+  const special = openingHours.exceptions
+    .filter(exception => exception.date >= today && exception.date <= addDays(today, 60))
+    .slice(0, 10)
+    .map(({ date, note, hours }) => `${DAY_NAMES[weekdayOf(date)]} ${date}${note ? ` (${note})` : ''}: ${describeRanges(hours)}`);
+  return `OPENING HOURS (times in ${timeZone}; it is now ${DAY_NAMES[weekday]} ${today} ${time} there):
+- Right now: ${describeStatus(openingHours, timeZone, now)}.
+- Every week: ${describeWeekly(openingHours.weekly)}.${special.length ? `
+- Special days: ${special.join('; ')}.` : ''}
+- Answer questions about opening times and whether the business is open from these facts; they take precedence over the Hours above and anything in the CONTEXT.`;
+}
@@ -0,0 +1,105 @@
+// intents.mjs - per-business intent taxonomy
+//
+// Each business may define its own intents (the `intents` field): a name, a
+// description, example messages, optional keywords, follow-up suggestions and
+// whether the intent should offer the contact form. Businesses that don't get
+// DEFAULT_INTENTS, which are deliberately generic. AISystem.classifyIntents labels messages
+// with them by embeddings or the chat model; the keyword matching here is the
+// offline fallback.
+
+export const INTENT_CLASSIFIERS = ['embeddings', 'model', 'keywords'];
+
+// Label for messages no intent matches.
+export const FALLBACK_INTENT = 'inquiry';
+
+export const DEFAULT_INTENTS = [
+  {
+    name: 'greeting',
+    description: 'Says hello or makes small talk',
+    examples: ['hi there', 'good morning', 'hello, anyone here?'],
+    keywords: ['hello', 'hi', 'hey', 'good morning', 'good afternoon', 'good evening']
+  },
+  {
+    name: 'pricing',
+    description: 'Asks what something costs, for a quote, discounts or payment options',
+    examples: ['how much does it cost?', 'what are your prices', 'do you have any discounts', 'can I pay in instalments'],
+    keywords: ['price', 'cost', 'fee', 'charge', 'quote', 'expensive', 'cheap', 'budget', 'discount', 'payment'],
+    suggestions: ['Any discounts available?', 'Payment options']
+  },
+  {
+    name: 'hours',
+    description: 'Asks when the business is open or about timings',
+    examples: ['what time do you open', 'are you open on sunday', 'what are your opening hours'],
+    keywords: ['hours', 'open', 'opening', 'closing', 'closed', 'timing', 'timings', 'schedule'],
+    suggestions: ['See weekend hours', 'Where are you located?']
+  },
+  {
+    name: 'booking',
+    description: 'Wants to book, reserve, make an appointment or sign up',
+    examples: ['can I book a table for four', "I'd like to make an appointment", 'how do I register'],
+    keywords: ['book', 'booking', 'reserve', 'reservation', 'appointment', 'enroll', 'register', 'sign up', 'apply'],
+    suggestions: ['How do I book?', 'Cancellation policy'],
+    contact_form: true
+  },
+  {
+    name: 'contact',
+    description: 'Wants contact details, the location or directions, or to talk to someone',
+    examples: ["what's your phone number", 'where are you located', 'can someone call me back'],
+    keywords: ['contact', 'call', 'phone', 'email', 'address', 'location', 'directions', 'whatsapp', 'reach'],
+    suggestions: ['Get directions', 'Request a call back'],
+    contact_form: true
+  },
+  {
+    name: 'services',
+    description: 'Asks what the business offers: products, services, menu or courses',
+    examples: ['what services do you offer', 'do you have vegetarian options', 'tell me about your courses'],
+    keywords: ['service', 'product', 'menu', 'course', 'program', 'offer', 'options', 'available', 'catalog'],
+    suggestions: ['Pricing information', 'How do I book?']
+  },
+  {
+    name: 'policies',
+    description: 'Asks about refunds, cancellations, returns, delivery, terms or other policies',
+    examples: ['what is your refund policy', 'can I cancel my order', 'do you deliver'],
+    keywords: ['policy', 'refund', 'cancel', 'cancellation', 'return', 'terms', 'conditions', 'warranty', 'delivery', 'shipping'],
+    suggestions: ['Refund policy', 'Talk to a person']
+  },
+  {
+    name: 'complaint',
+    description: 'Reports a problem or is unhappy with the service',
+    examples: ['my order arrived damaged', "I'm very disappointed", 'nobody answered my calls'],
+    keywords: ['problem', 'issue', 'complain', 'complaint', 'bad', 'terrible', 'worst', 'disappointed', 'broken', 'damaged'],
+    suggestions: ['Talk to a person'],
+    contact_form: true
+  }
+];
+
+export function intentsFor(business) {
+  return business?.intents?.length ? business.intents : DEFAULT_INTENTS;
+}
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Keywords of five letters or more also match longer words ("enroll" →
+// "enrollment"); shorter ones only match whole words, so "hi" stays out of
+// "ship" and "history".
+const keywordPatterns = new Map();
+function keywordPattern(keyword) {
+  if (!keywordPatterns.has(keyword)) {
+    const suffix = keyword.length >= 5 ? '\\p{L}*' : '(?:s|es)?';
+    keywordPatterns.set(keyword, new RegExp(`(?<![\\p{L}\\p{N}])${escapeRegExp(keyword)}${suffix}(?![\\p{L}\\p{N}])`, 'iu'));
+  }
+  return keywordPatterns.get(keyword);
+}
+
+// [{ intent, score }] for every intent with a keyword in `text`, best first.
+// An intent without keywords of its own is matched by its name.
+export function keywordIntents(intents, text) {
+  return intents
+    .map(({ name, keywords }) => {
+      const hits = (keywords?.length ? keywords : [name.replace(/_/g, ' ')])
+        .filter(keyword => keywordPattern(keyword.toLowerCase()).test(text || '')).length;
+      return { intent: name, score: Math.min(1, hits / 2) };
+    })
+    .filter(({ score }) => score > 0)
+    .sort((a, b) => b.score - a.score);
+}
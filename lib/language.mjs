@@ -0,0 +1,128 @@
+// language.mjs - visitor language detection and per-business language settings
+//
+// Detection is offline and cheap: a non-Latin script identifies the language
+// (Devanagari → Hindi, Tamil → Tamil, ...), and Latin-script text is matched
+// against short lists of common words, which also tells Hinglish (Hindi typed
+// in Latin letters) apart from English. Codes are BCP 47; Hinglish is hi-Latn.
+
+export const LANGUAGE_NAMES = {
+  en: 'English',
+  hi: 'Hindi',
+  'hi-Latn': 'Hinglish (Hindi written in Latin letters)',
+  mr: 'Marathi',
+  bn: 'Bengali',
+  pa: 'Punjabi',
+  gu: 'Gujarati',
+  or: 'Odia',
+  ta: 'Tamil',
+  te: 'Telugu',
+  kn: 'Kannada',
+  ml: 'Malayalam',
+  ur: 'Urdu',
+  ar: 'Arabic',
+  he: 'Hebrew',
+  ru: 'Russian',
+  el: 'Greek',
+  th: 'Thai',
+  zh: 'Chinese',
+  ja: 'Japanese',
+  ko: 'Korean',
+  es: 'Spanish',
+  fr: 'French',
+  de: 'German',
+  pt: 'Portuguese'
+};
+
+const SCRIPTS = [
+  ['Devanagari', 'hi'], ['Bengali', 'bn'], ['Gurmukhi', 'pa'], ['Gujarati', 'gu'], ['Oriya', 'or'],
+  ['Tamil', 'ta'], ['Telugu', 'te'], ['Kannada', 'kn'], ['Malayalam', 'ml'], ['Arabic', 'ar'],
+  ['Hebrew', 'he'], ['Cyrillic', 'ru'], ['Greek', 'el'], ['Thai', 'th'], ['Hangul', 'ko'],
+  ['Hiragana', 'ja'], ['Katakana', 'ja'], ['Han', 'zh']
+].map(([script, language]) => ({ language, pattern: new RegExp(`\\p{Script=${script}}`, 'gu') }));
+
+// Letters only Urdu uses within the Arabic script, and common Marathi words
+// that set it apart from Hindi within Devanagari.
+const URDU_LETTERS = /[ٹڈڑںےھ]/u;
+const MARATHI_WORDS = new Set(['आहे', 'आहेत', 'काय', 'मला', 'तुम्ही', 'आम्ही', 'कसे', 'किती', 'नाही', 'आणि']);
+
+const LATIN_PROFILES = {
+  en: ['the', 'is', 'are', 'was', 'you', 'your', 'what', 'how', 'when', 'where', 'which', 'who', 'do', 'does', 'can',
+    'could', 'would', 'have', 'has', 'and', 'for', 'of', 'to', 'in', 'on', 'with', 'my', 'me', 'we', 'our', 'it', 'this',
+    'that', 'please', 'price', 'cost', 'open', 'hours', 'thanks', 'thank', 'hello', 'hi', 'hey', 'yes', 'much', 'about', 'any'],
+  'hi-Latn': ['hai', 'hain', 'kya', 'kitna', 'kitne', 'kitni', 'nahi', 'nahin', 'mujhe', 'aap', 'aapka', 'aapki', 'aapke',
+    'kaise', 'kab', 'kahan', 'kaun', 'chahiye', 'karna', 'karo', 'batao', 'bataiye', 'mera', 'meri', 'hum', 'tha', 'thi',
+    'ka', 'ki', 'ke', 'ko', 'se', 'mein', 'bhi', 'aur', 'kuch', 'accha', 'acha', 'theek', 'haan', 'ji', 'bhai', 'yaar',
+    'sakte', 'sakta', 'raha', 'rahe', 'wala', 'wali', 'kal', 'abhi', 'paisa', 'paise', 'dijiye', 'milega', 'milta'],
+  es: ['el', 'los', 'las', 'es', 'son', 'que', 'y', 'por', 'para', 'cómo', 'como', 'cuánto', 'cuanto', 'qué', 'hola',
+    'gracias', 'tienen', 'precio', 'horario', 'usted', 'una', 'un', 'del', 'está', 'abierto'],
+  fr: ['le', 'les', 'est', 'sont', 'des', 'et', 'pour', 'combien', 'bonjour', 'merci', 'vous', 'avez', 'quel', 'quelle',
+    'prix', 'une', 'du', 'au', 'ouvert', 'je', 'nous', 'c\'est', 'est-ce'],
+  de: ['der', 'die', 'das', 'ist', 'sind', 'und', 'für', 'wie', 'viel', 'was', 'hallo', 'danke', 'sie', 'haben', 'preis',
+    'ein', 'eine', 'nicht', 'ich', 'wir', 'geöffnet', 'kostet'],
+  pt: ['os', 'é', 'são', 'em', 'quanto', 'olá', 'obrigado', 'obrigada', 'vocês', 'você', 'preço', 'uma', 'um', 'do', 'da',
+    'não', 'aberto', 'custa']
+};
+const LATIN_WORDS = new Map();
+for (const [language, words] of Object.entries(LATIN_PROFILES)) {
+  for (const word of words) {
+    LATIN_WORDS.set(word, [...(LATIN_WORDS.get(word) || []), language]);
+  }
+}
+
+// Language code of a message, or null when there is nothing to go on
+// (numbers, emoji, a product code...).
+export function detectLanguage(text) {
+  const value = text || '';
+  const letters = (value.match(/\p{L}/gu) || []).length;
+  if (!letters) return null;
+
+  let best = null;
+  let bestCount = 0;
+  for (const { language, pattern } of SCRIPTS) {
+    const count = (value.match(pattern) || []).length;
+    if (count > bestCount) {
+      best = language;
+      bestCount = count;
+    }
+  }
+  // Japanese mixes kanji (Han) with kana
+  if (best === 'zh' && /[\p{Script=Hiragana}\p{Script=Katakana}]/u.test(value)) best = 'ja';
+  if (best && bestCount >= letters * 0.3) {
+    if (best === 'ar' && URDU_LETTERS.test(value)) return 'ur';
+    if (best === 'hi' && (value.match(/\p{L}[\p{L}\p{M}]*/gu) || []).some(word => MARATHI_WORDS.has(word))) return 'mr';
+    return best;
+  }
+
+  const scores = {};
+  for (const word of value.toLowerCase().match(/[\p{L}']+/gu) || []) {
+    for (const language of LATIN_WORDS.get(word) || []) {
+      scores[language] = (scores[language] || 0) + 1;
+    }
+  }
+  const ranked = Object.entries(scores).sort((a, b) => b[1] - a[1]);
+  return ranked.length ? ranked[0][0] : null;
+}
+
+export function languageName(code) {
+  return LANGUAGE_NAMES[code] || code;
+}
+
+// Hinglish and Hindi count as the same language when checking what a business allows.
+const baseLanguage = (code) => (code || '').split('-')[0];
+
+// The language to answer in: the visitor's own when the business allows it
+// (all languages by default), otherwise the business's default_language.
+export function replyLanguage(business, detected) {
+  const fallback = business.default_language || 'en';
+  if (!detected) return fallback;
+  const allowed = business.languages;
+  if (!allowed?.length || allowed.some(code => code === detected || code === baseLanguage(detected))) {
+    return detected;
+  }
+  return fallback;
+}
+
+// Whether a query must be translated to search the knowledge base.
+export function needsTranslation(business, language) {
+  return Boolean(language) && language !== (business.knowledge_language || 'en');
+}
@@ -0,0 +1,56 @@
+// index.mjs - LLM provider selection
+//
+// Providers implement the same small interface:
+//   name, defaultChatModel, defaultEmbeddingModel
+//   embed(text, { model }) -> number[]
+//   chat(messages, { model, temperature, maxTokens }) -> string
+//   chatStream(messages, { model, temperature, maxTokens }) -> async iterable of text deltas
+//   chatWithTools(messages, { model, temperature, maxTokens, tools, toolChoice })
+//     -> { text, toolCalls: [{ id, name, arguments }] }
+// where `messages` are OpenAI-style { role, content } objects (plus the
+// assistant tool_calls and `tool` result messages of a tool exchange) and
+// `tools` are OpenAI function definitions.
+//
+// The deployment default comes from LLM_PROVIDER (openai | openai-compatible |
+// mock, default openai); a business may override it with its llm_provider
+// field. The offline mock is only used when chosen explicitly, so a deployment
+// missing its OPENAI_API_KEY fails at startup instead of answering with canned
+// text.
+
+export const LLM_PROVIDERS = ['openai', 'openai-compatible', 'mock'];
+
+export function defaultProviderName() {
+  return (process.env.LLM_PROVIDER || 'openai').toLowerCase();
+}
+
+export async function createProvider(name = defaultProviderName()) {
+  switch ((name || '').toLowerCase()) {
+    case 'openai': {
+      if (!process.env.OPENAI_API_KEY) {
+        throw new Error('OPENAI_API_KEY is required for the openai LLM provider');
+      }
+      const { OpenAIProvider } = await import('./openai.mjs');
+      return new OpenAIProvider({ name: 'openai', apiKey: process.env.OPENAI_API_KEY });
+    }
+    case 'openai-compatible': {
+      if (!process.env.LLM_BASE_URL) {
+        throw new Error('LLM_BASE_URL is required for the openai-compatible LLM provider (e.g. http://localhost:11434/v1)');
+      }
+      const { OpenAIProvider } = await import('./openai.mjs');
+      return new OpenAIProvider({
+        name: 'openai-compatible',
+        // Local servers usually ignore the key, but the client requires one.
+        apiKey: process.env.LLM_API_KEY || 'not-needed',
+        baseURL: process.env.LLM_BASE_URL,
+        defaultChatModel: process.env.LLM_CHAT_MODEL,
+        defaultEmbeddingModel: process.env.LLM_EMBEDDING_MODEL
+      });
+    }
+    case 'mock': {
+      const { MockProvider } = await import('./mock.mjs');
+      return new MockProvider();
+    }
+    default:
+      throw new Error(`Unknown LLM provider "${name}". Use one of: ${LLM_PROVIDERS.join(', ')}`);
+  }
+}
@@ -0,0 +1,147 @@
+// mock.mjs - deterministic offline provider for development and tests
+//
+// Embeddings are hashed bags of words, so texts sharing vocabulary land close
+// together and retrieval behaves plausibly. Chat replies are templated from the
+// retrieved context in the system prompt. The same input always gives the same
+// output, and nothing touches the network.
+import crypto from 'node:crypto';
+
+const DIMENSIONS = 256;
+
+const tokenize = (text) => (text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+
+export class MockProvider {
+  constructor() {
+    this.name = 'mock';
+    this.defaultEmbeddingModel = 'mock-embedding';
+    this.defaultChatModel = 'mock-chat';
+  }
+
+  async embed(text) {
+    const vector = new Array(DIMENSIONS).fill(0);
+    for (const token of tokenize(text)) {
+      const digest = crypto.createHash('sha1').update(token).digest();
+      vector[digest.readUInt16BE(0) % DIMENSIONS] += digest[2] & 1 ? 1 : -1;
+    }
+    const norm = Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0)) || 1;
+    return vector.map(v => v / norm);
+  }
+
+  async chat(messages) {
+    const system = messages.find(m => m.role === 'system')?.content || '';
+    const question = [...messages].reverse().find(m => m.role === 'user')?.content || '';
+    if (system.includes('standalone search query')) {
+      return this.condense(question);
+    }
+    if (system.includes('Classify the visitor message')) {
+      return this.classify(system, question);
+    }
+    const best = this.bestSentence(this.contextOf(system), question);
+    // Rate the answer when the prompt asks for a confidence line
+    const rating = (level) => system.includes('CONFIDENCE: high') ? `\nCONFIDENCE: ${level}` : '';
+    if (best) {
+      return `Here's what I found: ${best.sentence}${best.number ? ` [${best.number}]` : ''}${rating(best.score > 1 ? 'high' : 'medium')}`;
+    }
+    return `I don't have that information right now. Please get in touch with us directly and we'll be happy to help.${rating('low')}`;
+  }
+
+  // Query rewriting: the latest message followed by the previous user turn,
+  // which is enough for bag-of-words retrieval to pick up the topic.
+  condense(prompt) {
+    const latest = prompt.match(/Latest message: (.*)$/)?.[1] || '';
+    const previous = [...prompt.matchAll(/^User: (.*)$/gm)].pop()?.[1] || '';
+    return `${latest} ${previous}`.trim();
+  }
+
+  // Intent classification: every listed intent sharing a word with the
+  // message, scored by how many it shares.
+  classify(prompt, message) {
+    const words = new Set(tokenize(message).filter(token => token.length > 2));
+    const scores = {};
+    for (const [, name, text] of prompt.matchAll(/^- (\S+): (.*)$/gm)) {
+      const shared = new Set(tokenize(`${name} ${text}`).filter(token => words.has(token))).size;
+      if (shared) scores[name] = Math.min(1, 0.25 + shared * 0.25);
+    }
+    return JSON.stringify(scores);
+  }
+
+  // Tool calling for the booking tools: a message with a date, a time and an
+  // email books the first listed resource, one that mentions booking or
+  // availability checks it (today, tomorrow or a YYYY-MM-DD date), and tool
+  // results are read back in a templated sentence. Anything else gets the
+  // plain chat reply.
+  async chatWithTools(messages, { tools = [], toolChoice = 'auto' } = {}) {
+    const last = messages[messages.length - 1];
+    const rating = (messages[0]?.content || '').includes('CONFIDENCE: high') ? '\nCONFIDENCE: high' : '';
+    if (last.role === 'tool') {
+      return { text: this.describeToolResult(JSON.parse(last.content)) + rating, toolCalls: [] };
+    }
+    const available = toolChoice === 'none' ? [] : tools.map(tool => tool.function.name);
+    const system = messages.find(m => m.role === 'system')?.content || '';
+    const question = last.content || '';
+    const resource = system.match(/^ {2}- (\S+): /m)?.[1];
+    const today = system.match(/it is now \w+ (\d{4}-\d{2}-\d{2})/)?.[1];
+    const tomorrow = today && new Date(Date.parse(`${today}T12:00:00Z`) + 86400000).toISOString().slice(0, 10);
+    const date = question.match(/\d{4}-\d{2}-\d{2}/)?.[0] || (/\btomorrow\b/i.test(question) ? tomorrow : today);
+    const time = question.match(/\b(?:[01]\d|2[0-3]):[0-5]\d\b/)?.[0];
+    const email = question.match(/[^\s@,]+@[^\s@,]+\.[^\s@,]+/)?.[0];
+    const call = (name, args) => ({ text: '', toolCalls: [{ id: `call_${name}`, name, arguments: args }] });
+    if (resource && date && time && email && available.includes('create_booking')) {
+      const name = question.match(/\bname is ([^,.]+)/i)?.[1]?.trim() || email.split('@')[0];
+      return call('create_booking', { resource_id: resource, date, time, name, email });
+    }
+    if (resource && date && available.includes('check_availability') && /\b(book|reserv|appointment|availab|free)/i.test(question)) {
+      return call('check_availability', { resource_id: resource, date });
+    }
+    return { text: await this.chat(messages), toolCalls: [] };
+  }
+
+  describeToolResult(result) {
+    if (result.error) return `Sorry, ${result.error}.`;
+    if (result.booking) {
+      const { resource, date, time, reference } = result.booking;
+      return `You're booked: ${resource} on ${date} at ${time}. Your reference is ${reference}.`;
+    }
+    return result.times.length
+      ? `${result.resource} is available on ${result.date} at ${result.times.slice(0, 6).join(', ')}. Which time suits you?`
+      : `${result.resource} has no free times on ${result.date}.`;
+  }
+
+  // Replays the templated reply word by word so streaming clients can be exercised offline.
+  async *chatStream(messages) {
+    const reply = await this.chat(messages);
+    for (const piece of reply.match(/\S+\s*/g) || []) {
+      yield piece;
+    }
+  }
+
+  // Text between the CONTEXT header of the system prompt and the closing instructions.
+  contextOf(systemPrompt) {
+    const match = systemPrompt.match(/CONTEXT \(retrieved knowledge\):\n([\s\S]*?)(?:\n\n[A-Z][^\n]*$|$)/);
+    return match ? match[1] : '';
+  }
+
+  // The context sentence sharing the most words with the question, with the
+  // number of the context entry it came from (null for the fallback card).
+  bestSentence(context, question) {
+    const wanted = new Set(tokenize(question).filter(token => token.length > 2));
+    let best = null;
+    let bestScore = 0;
+    let number = null;
+    for (const line of context.split(/\n+/)) {
+      const entry = line.match(/^\[(\d+)\]\s*/);
+      if (entry) number = parseInt(entry[1], 10);
+      if (line.startsWith('=== FALLBACK_CONTACT_CARD')) number = null;
+      for (const raw of line.slice(entry ? entry[0].length : 0).split(/(?<=[.!?])\s+/)) {
+        const sentence = raw.trim();
+        if (!sentence || sentence.startsWith('===')) continue;
+        const score = new Set(tokenize(sentence).filter(token => wanted.has(token))).size;
+        if (score > bestScore) {
+          best = { sentence, number, score };
+          bestScore = score;
+        }
+      }
+    }
+    return best;
+  }
+}
@@ -0,0 +1,74 @@
+// openai.mjs - OpenAI API adapter, also used for OpenAI-compatible servers
+// (llama.cpp, Ollama, vLLM, LM Studio...) by pointing baseURL at them.
+import OpenAI from 'openai';
+
+// Tool arguments arrive as a JSON string the model wrote; a malformed one
+// becomes {} and the tool reports what is missing.
+function parseArguments(json) {
+  try {
+    const args = JSON.parse(json || '{}');
+    return args && typeof args === 'object' ? args : {};
+  } catch {
+    return {};
+  }
+}
+
+export class OpenAIProvider {
+  constructor({ name, apiKey, baseURL, defaultChatModel, defaultEmbeddingModel }) {
+    this.name = name;
+    this.client = new OpenAI({ apiKey, ...(baseURL ? { baseURL } : {}) });
+    this.defaultEmbeddingModel = defaultEmbeddingModel || process.env.DEFAULT_EMBEDDING_MODEL || 'text-embedding-3-small';
+    this.defaultChatModel = defaultChatModel || process.env.DEFAULT_CHAT_MODEL || 'gpt-4o-mini';
+  }
+
+  async embed(text, { model = this.defaultEmbeddingModel } = {}) {
+    const response = await this.client.embeddings.create({ model, input: text });
+    return response.data[0].embedding;
+  }
+
+  async chat(messages, { model = this.defaultChatModel, temperature = 0.2, maxTokens = 500 } = {}) {
+    const response = await this.client.chat.completions.create({
+      model,
+      messages,
+      temperature,
+      max_tokens: maxTokens,
+    });
+    return response.choices[0]?.message?.content || '';
+  }
+
+  // One completion in which the model may call `tools` instead of answering.
+  async chatWithTools(messages, { model = this.defaultChatModel, temperature = 0.2, maxTokens = 500, tools = [], toolChoice = 'auto' } = {}) {
+    const response = await this.client.chat.completions.create({
+      model,
+      messages,
+      temperature,
+      max_tokens: maxTokens,
+      tools,
+      tool_choice: toolChoice,
+    });
+    const message = response.choices[0]?.message || {};
+    return {
+      text: message.content || '',
+      toolCalls: (message.tool_calls || []).map(call => ({
+        id: call.id,
+        name: call.function.name,
+        arguments: parseArguments(call.function.arguments),
+      })),
+    };
+  }
+
+  async *chatStream(messages, { model = this.defaultChatModel, temperature = 0.2, maxTokens = 500 } = {}) {
+    const stream = await this.client.chat.completions.create({
+      model,
+      messages,
+      temperature,
+      max_tokens: maxTokens,
+      stream: true,
+    });
+    // Leaving the loop early (client went away) aborts the underlying request.
+    for await (const chunk of stream) {
+      const delta = chunk.choices[0]?.delta?.content;
+      if (delta) yield delta;
+    }
+  }
+}
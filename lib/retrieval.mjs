@@ -0,0 +1,87 @@
+// retrieval.mjs - ranking helpers for hybrid (keyword + vector) retrieval
+//
+// Each signal ranks the chunks on its own scale: cosine similarity for the
+// embedding, BM25 for exact terms, the contact heuristic for contact-like
+// questions. Reciprocal rank fusion combines them by rank alone, so no signal
+// needs normalising against the others; per-business weights scale each one.
+
+// RRF damping constant; 60 is the value from the original paper.
+const RRF_K = 60;
+
+// BM25 parameters: term-frequency saturation and length normalisation.
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+export const DEFAULT_RETRIEVAL_WEIGHTS = { vector: 1, keyword: 1, contact: 1 };
+
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'can', 'do', 'does', 'for', 'from', 'have', 'how',
+  'i', 'in', 'is', 'it', 'me', 'my', 'of', 'on', 'or', 'our', 'the', 'this', 'to', 'was', 'we',
+  'what', 'when', 'where', 'which', 'who', 'why', 'will', 'with', 'you', 'your'
+]);
+
+// Lowercased letter/number runs without stopwords. Codes such as "SKU-42A"
+// become ["sku", "42a"] on both the query and the chunk side, so they still match.
+export function tokenize(text) {
+  return ((text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [])
+    .filter(token => !STOPWORDS.has(token));
+}
+
+// BM25 score of every document for the query, in document order.
+// `documents` are token arrays (see tokenize).
+export function bm25Scores(queryTokens, documents) {
+  const terms = [...new Set(queryTokens)];
+  if (terms.length === 0 || documents.length === 0) {
+    return documents.map(() => 0);
+  }
+
+  const avgLength = documents.reduce((sum, doc) => sum + doc.length, 0) / documents.length || 1;
+  const documentFrequency = new Map(terms.map(term => [term, 0]));
+  const termCounts = documents.map(doc => {
+    const counts = new Map();
+    for (const token of doc) {
+      if (documentFrequency.has(token)) counts.set(token, (counts.get(token) || 0) + 1);
+    }
+    for (const term of counts.keys()) {
+      documentFrequency.set(term, documentFrequency.get(term) + 1);
+    }
+    return counts;
+  });
+
+  return documents.map((doc, i) => {
+    let score = 0;
+    for (const term of terms) {
+      const tf = termCounts[i].get(term);
+      if (!tf) continue;
+      const df = documentFrequency.get(term);
+      const idf = Math.log(1 + (documents.length - df + 0.5) / (df + 0.5));
+      score += idf * (tf * (BM25_K1 + 1)) / (tf + BM25_K1 * (1 - BM25_B + BM25_B * doc.length / avgLength));
+    }
+    return score;
+  });
+}
+
+// Weighted reciprocal rank fusion. `signals` maps a signal name to an array of
+// scores aligned with the items; items scoring 0 (or less) are left out of that
+// signal's ranking instead of being ranked last. Returns fused scores in item
+// order together with each item's rank per signal.
+export function fuseRankings(signals, weights = DEFAULT_RETRIEVAL_WEIGHTS) {
+  const count = Object.values(signals)[0]?.length || 0;
+  const fused = new Array(count).fill(0);
+  const ranks = Array.from({ length: count }, () => ({}));
+
+  for (const [name, scores] of Object.entries(signals)) {
+    const weight = weights[name] ?? DEFAULT_RETRIEVAL_WEIGHTS[name] ?? 0;
+    if (!weight) continue;
+    scores
+      .map((score, index) => ({ score, index }))
+      .filter(entry => entry.score > 0)
+      .sort((a, b) => b.score - a.score)
+      .forEach((entry, position) => {
+        ranks[entry.index][name] = position + 1;
+        fused[entry.index] += weight / (RRF_K + position + 1);
+      });
+  }
+
+  return { fused, ranks };
+}
@@ -0,0 +1,284 @@
+// dynamodb.mjs - DynamoDB storage adapter
+import {
+  DynamoDBClient,
+  DescribeTableCommand,
+  CreateTableCommand,
+  UpdateTableCommand
+} from "@aws-sdk/client-dynamodb";
+import {
+  DynamoDBDocumentClient,
+  PutCommand,
+  GetCommand,
+  QueryCommand,
+  UpdateCommand,
+  DeleteCommand,
+  ScanCommand
+} from "@aws-sdk/lib-dynamodb";
+import { keySchemaFor, encodeCursor, decodeCursor, isKeyValue } from './schema.mjs';
+
+// Cursors are DynamoDB's LastEvaluatedKey: a flat map of key attributes.
+const startKeyOf = (cursor) => decodeCursor(cursor, key =>
+  typeof key === 'object' && !Array.isArray(key) && Object.keys(key).length > 0 && Object.values(key).every(isKeyValue));
+
+const FILTER_OPERATORS = ['=', '<>', '<', '<=', '>', '>='];
+
+// Build a FilterExpression from [{ attr, op, value }] conditions (joined with AND).
+function buildFilter(filters, names, values) {
+  if (!filters?.length) return undefined;
+  return filters.map(({ attr, op = '=', value }, index) => {
+    if (!FILTER_OPERATORS.includes(op)) {
+      throw new Error(`Unsupported filter operator: ${op}`);
+    }
+    names[`#f${index}`] = attr;
+    values[`:f${index}`] = value;
+    return `#f${index} ${op} :f${index}`;
+  }).join(' AND ');
+}
+
+function withNames(params, names) {
+  if (Object.keys(names).length) params.ExpressionAttributeNames = names;
+  return params;
+}
+
+function keySchema({ partitionKey, sortKey }) {
+  const schema = [{ AttributeName: partitionKey, KeyType: 'HASH' }];
+  if (sortKey) schema.push({ AttributeName: sortKey, KeyType: 'RANGE' });
+  return schema;
+}
+
+// All key attributes in this schema are strings.
+function attributeDefinitions(...schemas) {
+  const names = new Set();
+  for (const { partitionKey, sortKey } of schemas) {
+    names.add(partitionKey);
+    if (sortKey) names.add(sortKey);
+  }
+  return [...names].map(name => ({ AttributeName: name, AttributeType: 'S' }));
+}
+
+function gsiDefinition(indexName, index) {
+  return {
+    IndexName: indexName,
+    KeySchema: keySchema(index),
+    Projection: { ProjectionType: 'ALL' }
+  };
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+export class DynamoDBStorage {
+  constructor() {
+    this.name = 'dynamodb';
+    // DYNAMODB_ENDPOINT points the client at DynamoDB Local (e.g. http://localhost:8000)
+    this.client = new DynamoDBClient({
+      region: process.env.AWS_REGION || 'us-east-1',
+      ...(process.env.DYNAMODB_ENDPOINT ? { endpoint: process.env.DYNAMODB_ENDPOINT } : {})
+    });
+    this.docClient = DynamoDBDocumentClient.from(this.client, {
+      marshallOptions: { removeUndefinedValues: true }
+    });
+  }
+
+  async init() {
+    console.log('✅ DynamoDB client initialized');
+  }
+
+  // Send a command, explaining the usual cause when a table or index is missing.
+  async send(table, command) {
+    try {
+      return await this.docClient.send(command);
+    } catch (error) {
+      if (error.name === 'ResourceNotFoundException') {
+        error.message = `${error.message} (table ${table.name}). Run "npm run migrate" to create the tables and indexes.`;
+      }
+      throw error;
+    }
+  }
+
+  async describeTable(table) {
+    try {
+      const result = await this.client.send(new DescribeTableCommand({ TableName: table.name }));
+      return result.Table;
+    } catch (error) {
+      if (error.name === 'ResourceNotFoundException') return null;
+      throw error;
+    }
+  }
+
+  async waitUntilActive(table, timeoutMs = 5 * 60 * 1000) {
+    const deadline = Date.now() + timeoutMs;
+    while (Date.now() < deadline) {
+      const description = await this.describeTable(table);
+      const indexesReady = (description?.GlobalSecondaryIndexes || [])
+        .every(index => index.IndexStatus === 'ACTIVE');
+      if (description?.TableStatus === 'ACTIVE' && indexesReady) return;
+      await sleep(2000);
+    }
+    throw new Error(`Timed out waiting for ${table.name} to become ACTIVE`);
+  }
+
+  // Idempotently create the table and any missing GSIs. Returns the changes made.
+  async ensureTable(table) {
+    const changes = [];
+    const indexes = Object.entries(table.indexes || {});
+    const description = await this.describeTable(table);
+
+    if (!description) {
+      const params = {
+        TableName: table.name,
+        BillingMode: 'PAY_PER_REQUEST',
+        KeySchema: keySchema(table),
+        AttributeDefinitions: attributeDefinitions(table, ...indexes.map(([, index]) => index))
+      };
+      if (indexes.length) {
+        params.GlobalSecondaryIndexes = indexes.map(([name, index]) => gsiDefinition(name, index));
+      }
+      await this.client.send(new CreateTableCommand(params));
+      await this.waitUntilActive(table);
+      changes.push(`created table ${table.name}`);
+      indexes.forEach(([name]) => changes.push(`created index ${table.name}.${name}`));
+      return changes;
+    }
+
+    const existing = new Set((description.GlobalSecondaryIndexes || []).map(index => index.IndexName));
+    // DynamoDB only allows one index creation per UpdateTable call.
+    for (const [name, index] of indexes) {
+      if (existing.has(name)) continue;
+      await this.client.send(new UpdateTableCommand({
+        TableName: table.name,
+        AttributeDefinitions: attributeDefinitions(table, index),
+        GlobalSecondaryIndexUpdates: [{ Create: gsiDefinition(name, index) }]
+      }));
+      await this.waitUntilActive(table);
+      changes.push(`created index ${table.name}.${name}`);
+    }
+    return changes;
+  }
+
+  async putItem(table, item) {
+    await this.send(table, new PutCommand({
+      TableName: table.name,
+      Item: item
+    }));
+  }
+
+  async getItem(table, key) {
+    const result = await this.send(table, new GetCommand({
+      TableName: table.name,
+      Key: key
+    }));
+    return result.Item;
+  }
+
+  async queryItems(table, { index = null, keyValue, sortKeyPrefix = null, filters = [], descending = false, limit, cursor } = {}) {
+    const { partitionKey, sortKey } = keySchemaFor(table, index);
+    const names = { '#pk': partitionKey };
+    const values = { ':pk': keyValue };
+    let keyCondition = '#pk = :pk';
+
+    if (sortKeyPrefix && sortKey) {
+      names['#sk'] = sortKey;
+      values[':skPrefix'] = sortKeyPrefix;
+      keyCondition += ' AND begins_with(#sk, :skPrefix)';
+    }
+
+    const params = {
+      TableName: table.name,
+      KeyConditionExpression: keyCondition,
+      ScanIndexForward: !descending
+    };
+    if (index) params.IndexName = index;
+    if (limit) params.Limit = limit;
+    if (cursor) params.ExclusiveStartKey = startKeyOf(cursor);
+
+    const filterExpression = buildFilter(filters, names, values);
+    if (filterExpression) params.FilterExpression = filterExpression;
+    params.ExpressionAttributeValues = values;
+
+    const result = await this.send(table, new QueryCommand(withNames(params, names)));
+    return { items: result.Items || [], cursor: encodeCursor(result.LastEvaluatedKey) };
+  }
+
+  async scanItems(table, { attributes = null, filters = [], limit, cursor } = {}) {
+    const names = {};
+    const values = {};
+    const params = { TableName: table.name };
+
+    if (attributes?.length) {
+      params.ProjectionExpression = attributes.map((attr, index) => {
+        names[`#p${index}`] = attr;
+        return `#p${index}`;
+      }).join(', ');
+    }
+    if (limit) params.Limit = limit;
+    if (cursor) params.ExclusiveStartKey = startKeyOf(cursor);
+
+    const filterExpression = buildFilter(filters, names, values);
+    if (filterExpression) {
+      params.FilterExpression = filterExpression;
+      params.ExpressionAttributeValues = values;
+    }
+
+    const result = await this.send(table, new ScanCommand(withNames(params, names)));
+    return { items: result.Items || [], cursor: encodeCursor(result.LastEvaluatedKey) };
+  }
+
+  // `set` overwrites attributes, `add` increments numeric attributes (missing counts as 0).
+  // With `mustExist` the update fails with ConditionalCheckFailedException instead of upserting.
+  async updateItem(table, key, { set = {}, add = {}, remove = [], expect = {}, mustExist = false } = {}) {
+    const names = {};
+    const values = {};
+    const clauses = [];
+
+    const setParts = Object.entries(set).filter(([, value]) => value !== undefined).map(([attr, value], index) => {
+      names[`#s${index}`] = attr;
+      values[`:s${index}`] = value;
+      return `#s${index} = :s${index}`;
+    });
+    if (setParts.length) clauses.push(`SET ${setParts.join(', ')}`);
+
+    const addParts = Object.entries(add).map(([attr, value], index) => {
+      names[`#a${index}`] = attr;
+      values[`:a${index}`] = value;
+      return `#a${index} :a${index}`;
+    });
+    if (addParts.length) clauses.push(`ADD ${addParts.join(', ')}`);
+
+    const removeParts = remove.map((attr, index) => {
+      names[`#r${index}`] = attr;
+      return `#r${index}`;
+    });
+    if (removeParts.length) clauses.push(`REMOVE ${removeParts.join(', ')}`);
+
+    if (!clauses.length) return;
+
+    const conditions = Object.entries(expect).map(([attr, value], index) => {
+      names[`#e${index}`] = attr;
+      if (value === null) return `attribute_not_exists(#e${index})`;
+      values[`:e${index}`] = value;
+      return `#e${index} = :e${index}`;
+    });
+    if (mustExist) {
+      names['#key'] = table.partitionKey;
+      conditions.unshift('attribute_exists(#key)');
+    }
+
+    const params = {
+      TableName: table.name,
+      Key: key,
+      UpdateExpression: clauses.join(' '),
+      ExpressionAttributeNames: names,
+      ...(Object.keys(values).length ? { ExpressionAttributeValues: values } : {}),
+      ...(conditions.length ? { ConditionExpression: conditions.join(' AND ') } : {})
+    };
+
+    await this.send(table, new UpdateCommand(params));
+  }
+
+  async deleteItem(table, key) {
+    await this.send(table, new DeleteCommand({
+      TableName: table.name,
+      Key: key
+    }));
+  }
+}
@@ -0,0 +1,30 @@
+// index.mjs - storage backend selection
+//
+// Adapters implement the same small table-store interface:
+//   init()
+//   putItem(table, item)
+//   getItem(table, key)
+//   queryItems(table, { index, keyValue, sortKeyPrefix, filters, descending, limit, cursor }) -> { items, cursor }
+//   scanItems(table, { attributes, filters, limit, cursor }) -> { items, cursor }
+//   updateItem(table, key, { set, add, remove, expect, mustExist })
+//   deleteItem(table, key)
+// where `table` is one of the definitions in schema.mjs and `filters` is a list
+// of { attr, op, value } conditions. Adapters are loaded lazily so a DynamoDB
+// deployment never needs the SQLite driver installed, and vice versa.
+
+export const STORAGE_BACKENDS = ['dynamodb', 'sqlite'];
+
+export async function createStorage(backend = process.env.STORAGE_BACKEND || 'dynamodb') {
+  switch ((backend || '').toLowerCase()) {
+    case 'dynamodb': {
+      const { DynamoDBStorage } = await import('./dynamodb.mjs');
+      return new DynamoDBStorage();
+    }
+    case 'sqlite': {
+      const { SQLiteStorage } = await import('./sqlite.mjs');
+      return new SQLiteStorage();
+    }
+    default:
+      throw new Error(`Unknown STORAGE_BACKEND "${backend}". Use one of: ${STORAGE_BACKENDS.join(', ')}`);
+  }
+}
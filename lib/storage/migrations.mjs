@@ -0,0 +1,149 @@
+// migrations.mjs - versioned schema changes applied by scripts/migrate.mjs
+//
+// Migrations are append-only: never edit one that has shipped, add a new
+// version instead. Each `up` receives the storage adapter and returns a list
+// of human-readable changes; adapters' ensureTable() is idempotent, so
+// re-running a partially applied migration is safe.
+//
+// Migrations spell out the tables and indexes as they were when the migration
+// shipped rather than reading them from schema.mjs, which only describes the
+// latest version: ensureTable() creates a missing table with the indexes it
+// is given and adds those indexes to an existing one.
+import { TABLES } from './schema.mjs';
+
+// An existing table, with only the `indexes` a migration adds to it.
+const withIndexes = (table, indexes) => ({ name: table.name, partitionKey: table.partitionKey, sortKey: table.sortKey, indexes });
+
+export const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Create core tables with SlugIndex, ChatHashIndex and AnalyticsHashIndex',
+    async up(storage) {
+      const tables = [
+        {
+          name: 'BusinessChatbot-Businesses',
+          partitionKey: 'id',
+          indexes: {
+            SlugIndex: { partitionKey: 'slug' },
+            ChatHashIndex: { partitionKey: 'chat_hash' },
+            AnalyticsHashIndex: { partitionKey: 'analytics_hash' }
+          }
+        },
+        { name: 'BusinessChatbot-Documents', partitionKey: 'business_id', sortKey: 'id' },
+        { name: 'BusinessChatbot-Chunks', partitionKey: 'business_id', sortKey: 'chunk_id' },
+        { name: 'BusinessChatbot-ChatSessions', partitionKey: 'business_id', sortKey: 'id' },
+        { name: 'BusinessChatbot-Messages', partitionKey: 'session_id', sortKey: 'timestamp' },
+        { name: 'BusinessChatbot-Leads', partitionKey: 'business_id', sortKey: 'id' }
+      ];
+      const changes = [];
+      for (const table of tables) {
+        changes.push(...await storage.ensureTable(table));
+      }
+      return changes;
+    }
+  },
+  {
+    version: 2,
+    description: 'Add SessionIdIndex for session lookups without a business id',
+    async up(storage) {
+      return storage.ensureTable(withIndexes(TABLES.CHAT_SESSIONS, {
+        SessionIdIndex: { partitionKey: 'id' }
+      }));
+    }
+  },
+  {
+    version: 3,
+    description: 'Add LowConfidenceIndex for reviewing questions the bot could not answer confidently',
+    async up(storage) {
+      return storage.ensureTable(withIndexes(TABLES.MESSAGES, {
+        LowConfidenceIndex: { partitionKey: 'low_confidence_business_id', sortKey: 'timestamp' }
+      }));
+    }
+  },
+  {
+    version: 4,
+    description: 'Add HandoffIndex for the queue of chats handed over to human agents',
+    async up(storage) {
+      return storage.ensureTable(withIndexes(TABLES.CHAT_SESSIONS, {
+        HandoffIndex: { partitionKey: 'handoff_business_id', sortKey: 'handoff_requested_at' }
+      }));
+    }
+  },
+  {
+    version: 5,
+    description: 'Create Bookings (with StartsAtIndex) and BookingSlots tables for chat bookings',
+    async up(storage) {
+      return [
+        ...await storage.ensureTable({
+          name: 'BusinessChatbot-Bookings',
+          partitionKey: 'business_id',
+          sortKey: 'id',
+          indexes: { StartsAtIndex: { partitionKey: 'business_id', sortKey: 'starts_at' } }
+        }),
+        ...await storage.ensureTable({ name: 'BusinessChatbot-BookingSlots', partitionKey: 'business_id', sortKey: 'slot' })
+      ];
+    }
+  },
+  {
+    version: 6,
+    description: 'Add CreatedAtIndex to list leads newest first',
+    async up(storage) {
+      return storage.ensureTable(withIndexes(TABLES.LEADS, {
+        CreatedAtIndex: { partitionKey: 'business_id', sortKey: 'created_at' }
+      }));
+    }
+  }
+];
+
+export const LATEST_SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+const SCHEMA_KEY = { id: 'schema' };
+
+export async function getSchemaVersion(storage) {
+  try {
+    const record = await storage.getItem(TABLES.SCHEMA, SCHEMA_KEY);
+    return record?.version || 0;
+  } catch (error) {
+    if (error.name === 'ResourceNotFoundException') return 0;
+    throw error;
+  }
+}
+
+// Apply every migration newer than the recorded version, in order.
+export async function runMigrations(storage, { dryRun = false, log = console.log } = {}) {
+  const current = await getSchemaVersion(storage);
+  const pending = MIGRATIONS.filter(m => m.version > current);
+
+  if (!pending.length) {
+    log(`✅ Schema is up to date (version ${current})`);
+    return { from: current, to: current, applied: [] };
+  }
+
+  if (!dryRun) await storage.ensureTable(TABLES.SCHEMA);
+
+  const applied = [];
+  for (const migration of pending) {
+    log(`🔄 Migration ${migration.version}: ${migration.description}`);
+    if (dryRun) {
+      applied.push({ version: migration.version, changes: [] });
+      continue;
+    }
+    const changes = await migration.up(storage);
+    changes.forEach(change => log(`   • ${change}`));
+    if (!changes.length) log('   • nothing to change');
+
+    await storage.putItem(TABLES.SCHEMA, {
+      ...SCHEMA_KEY,
+      version: migration.version,
+      description: migration.description,
+      applied_at: new Date().toISOString()
+    });
+    applied.push({ version: migration.version, changes });
+  }
+
+  const to = dryRun ? current : pending[pending.length - 1].version;
+  log(dryRun
+    ? `ℹ️ Dry run: ${pending.length} migration(s) pending, schema left at version ${current}`
+    : `✅ Schema migrated from version ${current} to ${to}`);
+  return { from: current, to, applied };
+}
@@ -0,0 +1,118 @@
+// schema.mjs - logical table definitions shared by every storage adapter
+//
+// Each table is described the way DynamoDB sees it: a partition key, an
+// optional sort key and any global secondary indexes. The SQLite adapter
+// maps the same definitions onto local tables so both backends behave alike.
+
+export const TABLES = {
+  BUSINESSES: {
+    name: 'BusinessChatbot-Businesses',
+    partitionKey: 'id',
+    indexes: {
+      SlugIndex: { partitionKey: 'slug' },
+      ChatHashIndex: { partitionKey: 'chat_hash' },
+      AnalyticsHashIndex: { partitionKey: 'analytics_hash' }
+    }
+  },
+  DOCUMENTS: {
+    name: 'BusinessChatbot-Documents',
+    partitionKey: 'business_id',
+    sortKey: 'id'
+  },
+  CHUNKS: {
+    name: 'BusinessChatbot-Chunks',
+    partitionKey: 'business_id',
+    sortKey: 'chunk_id'
+  },
+  CHAT_SESSIONS: {
+    name: 'BusinessChatbot-ChatSessions',
+    partitionKey: 'business_id',
+    sortKey: 'id',
+    indexes: {
+      SessionIdIndex: { partitionKey: 'id' },
+      // Sparse: only sessions waiting for or talking to a human agent carry
+      // handoff_business_id.
+      HandoffIndex: { partitionKey: 'handoff_business_id', sortKey: 'handoff_requested_at' }
+    }
+  },
+  MESSAGES: {
+    name: 'BusinessChatbot-Messages',
+    partitionKey: 'session_id',
+    sortKey: 'timestamp',
+    indexes: {
+      // Sparse: only questions answered below the business's confidence
+      // threshold carry low_confidence_business_id.
+      LowConfidenceIndex: { partitionKey: 'low_confidence_business_id', sortKey: 'timestamp' }
+    }
+  },
+  LEADS: {
+    name: 'BusinessChatbot-Leads',
+    partitionKey: 'business_id',
+    sortKey: 'id',
+    indexes: {
+      // A business's leads in the order they came in, for the pipeline and analytics.
+      CreatedAtIndex: { partitionKey: 'business_id', sortKey: 'created_at' }
+    }
+  },
+  BOOKINGS: {
+    name: 'BusinessChatbot-Bookings',
+    partitionKey: 'business_id',
+    sortKey: 'id',
+    indexes: {
+      // A business's bookings in time order, for the admin list.
+      StartsAtIndex: { partitionKey: 'business_id', sortKey: 'starts_at' }
+    }
+  },
+  // How many confirmed bookings hold each slot of each resource. Counts only
+  // change conditionally on the value they were read at, so concurrent
+  // bookings can't take a resource past its capacity.
+  BOOKING_SLOTS: {
+    name: 'BusinessChatbot-BookingSlots',
+    partitionKey: 'business_id',
+    sortKey: 'slot'
+  },
+  // Bookkeeping for scripts/migrate.mjs: a single { id: 'schema', version } item.
+  SCHEMA: {
+    name: 'BusinessChatbot-Schema',
+    partitionKey: 'id'
+  }
+};
+
+// Resolve the key attributes used by a query: the table's own key or a GSI's.
+export function keySchemaFor(table, indexName = null) {
+  if (!indexName) {
+    return { partitionKey: table.partitionKey, sortKey: table.sortKey || null };
+  }
+  const index = table.indexes?.[indexName];
+  if (!index) {
+    throw new Error(`Unknown index ${indexName} on ${table.name}`);
+  }
+  return { partitionKey: index.partitionKey, sortKey: index.sortKey || null };
+}
+
+// Cursors are opaque to callers: base64url-encoded JSON of the adapter's last key.
+export function encodeCursor(lastKey) {
+  if (!lastKey) return null;
+  return Buffer.from(JSON.stringify(lastKey)).toString('base64url');
+}
+
+// `isValid` checks the decoded key has the adapter's shape, so a tampered
+// cursor is rejected as a bad request rather than failing inside the query.
+export function decodeCursor(cursor, isValid = () => true) {
+  if (!cursor) return null;
+  let key;
+  try {
+    key = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch {
+    key = undefined;
+  }
+  if (key == null || !isValid(key)) {
+    const error = new Error('Invalid pagination cursor');
+    error.status = 400;
+    throw error;
+  }
+  return key;
+}
+
+// Key attribute values a cursor may carry.
+export const isKeyValue = (value) => value === null || typeof value === 'string' || Number.isFinite(value);
@@ -0,0 +1,228 @@
+// sqlite.mjs - local file-based storage adapter (better-sqlite3)
+//
+// Every logical table becomes one SQLite table holding the item as JSON next
+// to its partition/sort key, so items round-trip exactly as they do in
+// DynamoDB. Secondary indexes are expression indexes over the JSON column.
+import Database from 'better-sqlite3';
+import { mkdirSync } from 'node:fs';
+import path from 'node:path';
+import { keySchemaFor, encodeCursor, decodeCursor, isKeyValue } from './schema.mjs';
+
+const FILTER_OPERATORS = ['=', '<>', '<', '<=', '>', '>='];
+
+// Cursors hold the ORDER BY values of the last row of a page.
+const cursorOf = (cursor, order) => decodeCursor(cursor, key =>
+  Array.isArray(key) && key.length === order.length && key.every(isKeyValue));
+
+const quote = (identifier) => `"${identifier.replace(/"/g, '""')}"`;
+const jsonPath = (attr) => `$."${attr.replace(/"/g, '\\"')}"`;
+const attrExpr = (attr) => `json_extract(item, '${jsonPath(attr).replace(/'/g, "''")}')`;
+
+// better-sqlite3 cannot bind booleans; JSON booleans extract as 1/0.
+function bindable(value) {
+  if (typeof value === 'boolean') return value ? 1 : 0;
+  return value;
+}
+
+function buildFilters(filters, clauses, params) {
+  for (const { attr, op = '=', value } of filters || []) {
+    if (!FILTER_OPERATORS.includes(op)) {
+      throw new Error(`Unsupported filter operator: ${op}`);
+    }
+    if (value === null && (op === '=' || op === '<>')) {
+      clauses.push(`${attrExpr(attr)} IS ${op === '=' ? '' : 'NOT '}NULL`);
+      continue;
+    }
+    clauses.push(`${attrExpr(attr)} ${op} ?`);
+    params.push(bindable(value));
+  }
+}
+
+export class SQLiteStorage {
+  constructor() {
+    this.name = 'sqlite';
+    this.filename = process.env.SQLITE_PATH || 'data/business_chatbot.sqlite';
+    this.db = null;
+    this.prepared = new Set();
+  }
+
+  async init() {
+    if (this.db) return;
+    if (this.filename !== ':memory:') {
+      mkdirSync(path.dirname(path.resolve(this.filename)), { recursive: true });
+    }
+    this.db = new Database(this.filename);
+    this.db.pragma('journal_mode = WAL');
+    console.log(`✅ SQLite storage initialized at ${this.filename}`);
+  }
+
+  // Create the backing table and expression indexes on first use.
+  prepareTable(table) {
+    if (this.prepared.has(table.name)) return;
+    this.db.exec(`CREATE TABLE IF NOT EXISTS ${quote(table.name)} (
+      pk TEXT NOT NULL,
+      sk TEXT NOT NULL DEFAULT '',
+      item TEXT NOT NULL,
+      PRIMARY KEY (pk, sk)
+    )`);
+    for (const [indexName, index] of Object.entries(table.indexes || {})) {
+      const columns = [attrExpr(index.partitionKey)];
+      if (index.sortKey) columns.push(attrExpr(index.sortKey));
+      this.db.exec(`CREATE INDEX IF NOT EXISTS ${quote(`${table.name}-${indexName}`)}
+        ON ${quote(table.name)} (${columns.join(', ')})`);
+    }
+    this.prepared.add(table.name);
+  }
+
+  // Migration hook: same contract as DynamoDBStorage.ensureTable.
+  async ensureTable(table) {
+    const exists = (type, name) =>
+      Boolean(this.db.prepare(`SELECT 1 FROM sqlite_master WHERE type = ? AND name = ?`).get(type, name));
+    const changes = [];
+    if (!exists('table', table.name)) changes.push(`created table ${table.name}`);
+    for (const indexName of Object.keys(table.indexes || {})) {
+      if (!exists('index', `${table.name}-${indexName}`)) changes.push(`created index ${table.name}.${indexName}`);
+    }
+    this.prepared.delete(table.name);
+    this.prepareTable(table);
+    return changes;
+  }
+
+  keyOf(table, item) {
+    return {
+      pk: String(item[table.partitionKey]),
+      sk: table.sortKey ? String(item[table.sortKey]) : ''
+    };
+  }
+
+  async putItem(table, item) {
+    this.prepareTable(table);
+    const { pk, sk } = this.keyOf(table, item);
+    this.db.prepare(`INSERT OR REPLACE INTO ${quote(table.name)} (pk, sk, item) VALUES (?, ?, ?)`)
+      .run(pk, sk, JSON.stringify(item));
+  }
+
+  async getItem(table, key) {
+    this.prepareTable(table);
+    const { pk, sk } = this.keyOf(table, key);
+    const row = this.db.prepare(`SELECT item FROM ${quote(table.name)} WHERE pk = ? AND sk = ?`).get(pk, sk);
+    return row ? JSON.parse(row.item) : undefined;
+  }
+
+  async queryItems(table, { index = null, keyValue, sortKeyPrefix = null, filters = [], descending = false, limit, cursor } = {}) {
+    this.prepareTable(table);
+    const { partitionKey, sortKey } = keySchemaFor(table, index);
+    const clauses = [];
+    const params = [];
+    let order;
+
+    if (index) {
+      clauses.push(`${attrExpr(partitionKey)} = ?`);
+      params.push(bindable(keyValue));
+      const sortExpr = sortKey ? attrExpr(sortKey) : null;
+      order = [sortExpr, 'pk', 'sk'].filter(Boolean);
+      if (sortKeyPrefix && sortExpr) {
+        clauses.push(`substr(${sortExpr}, 1, ?) = ?`);
+        params.push(sortKeyPrefix.length, sortKeyPrefix);
+      }
+    } else {
+      clauses.push('pk = ?');
+      params.push(String(keyValue));
+      order = ['sk'];
+      if (sortKeyPrefix && sortKey) {
+        clauses.push('substr(sk, 1, ?) = ?');
+        params.push(sortKeyPrefix.length, sortKeyPrefix);
+      }
+    }
+
+    const start = cursorOf(cursor, order);
+    if (start) {
+      // Resume strictly after the last row of the previous page.
+      clauses.push(`(${order.join(', ')}) ${descending ? '<' : '>'} (${order.map(() => '?').join(', ')})`);
+      params.push(...start);
+    }
+    buildFilters(filters, clauses, params);
+
+    return this.page(table, clauses, params, order, descending, limit);
+  }
+
+  async scanItems(table, { attributes = null, filters = [], limit, cursor } = {}) {
+    this.prepareTable(table);
+    const clauses = [];
+    const params = [];
+    const order = ['pk', 'sk'];
+
+    const start = cursorOf(cursor, order);
+    if (start) {
+      clauses.push('(pk, sk) > (?, ?)');
+      params.push(...start);
+    }
+    buildFilters(filters, clauses, params);
+
+    const result = this.page(table, clauses, params, order, false, limit);
+    if (attributes?.length) {
+      result.items = result.items.map(item => Object.fromEntries(
+        attributes.filter(attr => attr in item).map(attr => [attr, item[attr]])
+      ));
+    }
+    return result;
+  }
+
+  page(table, clauses, params, order, descending, limit) {
+    const direction = descending ? 'DESC' : 'ASC';
+    const columns = order.map((expr, i) => `${expr} AS o${i}`).join(', ');
+    let sql = `SELECT item, ${columns} FROM ${quote(table.name)}`;
+    if (clauses.length) sql += ` WHERE ${clauses.join(' AND ')}`;
+    sql += ` ORDER BY ${order.map(expr => `${expr} ${direction}`).join(', ')}`;
+    if (limit) sql += ` LIMIT ${parseInt(limit, 10) + 1}`;
+
+    const rows = this.db.prepare(sql).all(...params);
+    const hasMore = limit && rows.length > limit;
+    const pageRows = hasMore ? rows.slice(0, limit) : rows;
+    const last = pageRows[pageRows.length - 1];
+
+    return {
+      items: pageRows.map(row => JSON.parse(row.item)),
+      cursor: hasMore ? encodeCursor(order.map((_, i) => last[`o${i}`])) : null
+    };
+  }
+
+  // Mirrors DynamoDB UpdateItem: upserts, `set` overwrites, `add` increments
+  // from 0, `remove` deletes attributes, and `expect` ({ attr: value }, null
+  // for absent) must hold beforehand.
+  async updateItem(table, key, { set = {}, add = {}, remove = [], expect = {}, mustExist = false } = {}) {
+    this.prepareTable(table);
+    const apply = this.db.transaction(() => {
+      const { pk, sk } = this.keyOf(table, key);
+      const row = this.db.prepare(`SELECT item FROM ${quote(table.name)} WHERE pk = ? AND sk = ?`).get(pk, sk);
+      const item = row ? JSON.parse(row.item) : { ...key };
+      const expected = Object.entries(expect).every(([attr, value]) => (item[attr] ?? null) === value);
+      if ((!row && mustExist) || !expected) {
+        const error = new Error('The conditional request failed');
+        error.name = 'ConditionalCheckFailedException';
+        throw error;
+      }
+
+      for (const [attr, value] of Object.entries(set)) {
+        if (value === undefined) continue;
+        item[attr] = value;
+      }
+      for (const [attr, value] of Object.entries(add)) {
+        item[attr] = (Number(item[attr]) || 0) + value;
+      }
+      for (const attr of remove) {
+        delete item[attr];
+      }
+
+      this.db.prepare(`INSERT OR REPLACE INTO ${quote(table.name)} (pk, sk, item) VALUES (?, ?, ?)`)
+        .run(pk, sk, JSON.stringify(item));
+    });
+    apply();
+  }
+
+  async deleteItem(table, key) {
+    this.prepareTable(table);
+    const { pk, sk } = this.keyOf(table, key);
+    this.db.prepare(`DELETE FROM ${quote(table.name)} WHERE pk = ? AND sk = ?`).run(pk, sk);
+  }
+}
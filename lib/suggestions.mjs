@@ -0,0 +1,73 @@
+// suggestions.mjs - quick-reply chips shown under the assistant's answers
+//
+// Candidates come, in order of preference, from the intents of the visitor's
+// message (each intent may list follow-ups), the categories of the retrieved
+// chunks, the categories of the rest of the business's documents, and finally
+// its starter suggestions. Anything the visitor has already asked about in the
+// session is left out.
+
+export const DEFAULT_STARTER_SUGGESTIONS = ['Tell me about your services', 'Pricing information', 'How to contact you', 'Business hours'];
+export const MAX_SUGGESTIONS = 4;
+
+// Follow-ups for the document categories FileProcessor.categorizeContent assigns.
+export const CATEGORY_SUGGESTIONS = {
+  hours: ['See weekend hours'],
+  contact: ['How to contact you'],
+  menu: ['See the menu', 'Vegetarian options'],
+  reservations: ['Book a table'],
+  courses: ['Which courses do you offer?'],
+  admissions: ['How do admissions work?'],
+  faculty: ['Who are the instructors?'],
+  services: ['Which services do you offer?'],
+  doctors: ['Book an appointment'],
+  pricing: ['Pricing information'],
+  delivery: ['Do you deliver?'],
+  directions: ['Get directions', 'Is there parking?'],
+  policies: ['Cancellation policy'],
+  events: ['Do you host events?'],
+  amenities: ['What facilities do you have?'],
+  offers: ['Current offers'],
+  dietary: ['Allergy information'],
+  support: ['Talk to a person']
+};
+
+// Words that say nothing about the topic of a suggestion.
+const FILLER = new Set([
+  'see', 'get', 'the', 'your', 'you', 'what', 'which', 'who', 'how', 'are', 'is', 'do', 'does', 'can', 'any',
+  'about', 'tell', 'me', 'information', 'info', 'to', 'a', 'an', 'of', 'for', 'there', 'have', 'work', 'current'
+]);
+
+// Topic words cut to four letters, so "prices" and "pricing" match.
+const topics = (text) => new Set(((text || '').toLowerCase().match(/\p{L}+/gu) || [])
+  .filter(word => word.length > 2 && !FILLER.has(word))
+  .map(word => word.slice(0, 4)));
+
+// Whether the visitor already asked about most of what the suggestion is about.
+function alreadyAsked(suggestion, asked) {
+  const wanted = topics(suggestion);
+  if (!wanted.size) return false;
+  return asked.some(question => {
+    const shared = [...wanted].filter(topic => question.has(topic)).length;
+    return shared / wanted.size >= 0.5;
+  });
+}
+
+// The first MAX_SUGGESTIONS distinct candidates not covered by `askedMessages`.
+export function pickSuggestions(candidates, askedMessages) {
+  const asked = askedMessages.map(topics);
+  const picked = [];
+  const seen = new Set();
+  for (const candidate of candidates) {
+    const key = candidate.trim().toLowerCase();
+    if (!key || seen.has(key)) continue;
+    seen.add(key);
+    if (alreadyAsked(candidate, asked)) continue;
+    picked.push(candidate.trim());
+    if (picked.length === MAX_SUGGESTIONS) break;
+  }
+  return picked;
+}
+
+export function starterSuggestions(business) {
+  return business?.starter_suggestions?.length ? business.starter_suggestions : DEFAULT_STARTER_SUGGESTIONS;
+}
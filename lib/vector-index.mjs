@@ -0,0 +1,150 @@
+// vector-index.mjs - per-business in-memory chunk index
+//
+// Loading every chunk (with its embedding) from storage on each chat message
+// is slow and costs a read per chunk. A ChunkIndex keeps a business's chunks in
+// process instead: embeddings as one normalised Float32Array matrix, so
+// similarity is a dot product, and the tokenised text the keyword signal needs.
+// Indexes are built on first use, dropped when the business's documents change,
+// and kept within a memory budget by evicting the least recently used ones.
+import { tokenize } from './retrieval.mjs';
+
+export class ChunkIndex {
+  constructor(chunks) {
+    // Use the most common embedding size; chunks from another model get no vector score.
+    const sizes = new Map();
+    for (const chunk of chunks) {
+      const size = chunk.embedding?.length || 0;
+      if (size) sizes.set(size, (sizes.get(size) || 0) + 1);
+    }
+    this.dimension = [...sizes].sort((a, b) => b[1] - a[1])[0]?.[0] || 0;
+    this.mismatched = chunks.filter(chunk => chunk.embedding?.length !== this.dimension).length;
+
+    this.matrix = new Float32Array(chunks.length * this.dimension);
+    this.embedded = new Uint8Array(chunks.length);
+    this.chunks = chunks.map(({ embedding, ...chunk }, row) => {
+      if (embedding?.length === this.dimension) {
+        this.embedded[row] = 1;
+        const norm = Math.sqrt(embedding.reduce((sum, v) => sum + v * v, 0)) || 1;
+        for (let i = 0; i < this.dimension; i++) {
+          this.matrix[row * this.dimension + i] = embedding[i] / norm;
+        }
+      }
+      return chunk;
+    });
+    this.tokens = this.chunks.map(chunk => tokenize(`${chunk.content} ${chunk.keywords || ''}`));
+    // Document categories, most covered first; follow-up suggestions draw on them.
+    const categories = new Map();
+    for (const { category } of this.chunks) {
+      if (category && category !== 'general') categories.set(category, (categories.get(category) || 0) + 1);
+    }
+    this.categories = [...categories].sort((a, b) => b[1] - a[1]).map(([category]) => category);
+
+    // Rough footprint: the matrix plus UTF-16 text and its tokens.
+    const textLength = this.chunks.reduce((sum, chunk) => sum + (chunk.content?.length || 0) + (chunk.keywords?.length || 0), 0);
+    this.bytes = this.matrix.byteLength + this.embedded.byteLength + textLength * 4;
+    this.builtAt = Date.now();
+  }
+
+  get size() {
+    return this.chunks.length;
+  }
+
+  // Cosine similarity of every chunk to the query, in chunk order (-1 for
+  // chunks without a comparable embedding), or null when the query was
+  // embedded by a model of a different size.
+  similarities(queryEmbedding) {
+    if (!queryEmbedding || queryEmbedding.length !== this.dimension) {
+      return null;
+    }
+    const norm = Math.sqrt(queryEmbedding.reduce((sum, v) => sum + v * v, 0)) || 1;
+    const query = Float32Array.from(queryEmbedding, v => v / norm);
+    const scores = new Float32Array(this.chunks.length);
+    for (let row = 0; row < this.chunks.length; row++) {
+      if (!this.embedded[row]) {
+        scores[row] = -1;
+        continue;
+      }
+      let dot = 0;
+      const offset = row * this.dimension;
+      for (let i = 0; i < this.dimension; i++) {
+        dot += this.matrix[offset + i] * query[i];
+      }
+      scores[row] = dot;
+    }
+    return scores;
+  }
+}
+
+export class ChunkIndexCache {
+  constructor({
+    maxBytes = (parseInt(process.env.VECTOR_CACHE_MB, 10) || 256) * 1024 * 1024,
+    // Other server instances may change documents too; rebuild after this long.
+    ttlMs = (parseInt(process.env.VECTOR_CACHE_TTL_SECONDS, 10) || 300) * 1000
+  } = {}) {
+    this.maxBytes = maxBytes;
+    this.ttlMs = ttlMs;
+    this.indexes = new Map(); // businessId -> ChunkIndex, least recently used first
+    this.building = new Map(); // businessId -> Promise<ChunkIndex>
+    this.generations = new Map(); // businessId -> invalidation counter
+    this.bytes = 0;
+  }
+
+  // The business's index, building it with loadChunks() when missing or stale.
+  async get(businessId, loadChunks) {
+    const cached = this.indexes.get(businessId);
+    if (cached && Date.now() - cached.builtAt < this.ttlMs) {
+      // Re-insert to mark as most recently used
+      this.indexes.delete(businessId);
+      this.indexes.set(businessId, cached);
+      return cached;
+    }
+    if (!this.building.has(businessId)) {
+      const generation = this.generations.get(businessId) || 0;
+      const build = loadChunks()
+        .then(chunks => {
+          const index = new ChunkIndex(chunks);
+          console.log(`🧠 Built chunk index for business ${businessId}: ${index.size} chunks, ${Math.round(index.bytes / 1024)} KB`);
+          // Skip caching if documents changed while the index was being built
+          if ((this.generations.get(businessId) || 0) === generation) {
+            this.store(businessId, index);
+          }
+          return index;
+        })
+        .finally(() => this.building.delete(businessId));
+      this.building.set(businessId, build);
+    }
+    return this.building.get(businessId);
+  }
+
+  store(businessId, index) {
+    this.remove(businessId);
+    if (index.bytes > this.maxBytes) {
+      console.warn(`⚠️ Chunk index for business ${businessId} (${Math.round(index.bytes / 1048576)} MB) exceeds VECTOR_CACHE_MB; not caching it`);
+      return;
+    }
+    this.indexes.set(businessId, index);
+    this.bytes += index.bytes;
+    for (const [oldestId] of this.indexes) {
+      if (this.bytes <= this.maxBytes) break;
+      this.remove(oldestId);
+    }
+  }
+
+  remove(businessId) {
+    const index = this.indexes.get(businessId);
+    if (index) {
+      this.bytes -= index.bytes;
+      this.indexes.delete(businessId);
+    }
+  }
+
+  // Call whenever a business's chunks are added, replaced or deleted.
+  invalidate(businessId) {
+    this.generations.set(businessId, (this.generations.get(businessId) || 0) + 1);
+    this.remove(businessId);
+  }
+
+  stats() {
+    return { businesses: this.indexes.size, bytes: this.bytes, maxBytes: this.maxBytes };
+  }
+}
@@ -40,7 +40,9 @@
       
       // Show welcome message
       addMessage('bot', business.welcomeMessage || 'Hi! How can I help you today?');
-      showSuggestions(['Tell me about your services', 'Pricing information', 'How to contact you', 'Business hours']);
+      if (business.starter_suggestions && business.starter_suggestions.length > 0) {
+        showSuggestions(business.starter_suggestions);
+      }
       
     } catch (error) {
       console.error('Failed to initialize chat:', error);
@@ -91,7 +93,8 @@
       const data = await response.json();
       
       removeTypingIndicator(typingMessage);
-      addMessage('bot', data.response);
+      // Empty while a team member has taken over the chat
+      if (data.response) addMessage('bot', data.response);
       
       if (data.suggestions && data.suggestions.length > 0) {
         showSuggestions(data.suggestions);
@@ -0,0 +1,34 @@
+// Erase a business and everything stored under it (documents, chunks,
+// sessions, messages, leads, bookings) and print a report of what was removed.
+//
+//   npm run delete-business -- <business id or slug> --dry-run   preview only
+//   npm run delete-business -- <business id or slug> --confirm   delete
+//
+// An id that no longer has a business row is still swept, so an erasure that
+// was interrupted part-way can be finished by re-running it.
+import 'dotenv/config';
+import { getBusinessById, getBusinessBySlug, deleteBusinessData } from '../lib/database.mjs';
+
+const args = process.argv.slice(2);
+const target = args.find(arg => !arg.startsWith('--'));
+const dryRun = args.includes('--dry-run');
+
+if (!target || (!dryRun && !args.includes('--confirm'))) {
+  console.error('Usage: npm run delete-business -- <business id or slug> (--dry-run | --confirm)');
+  process.exit(1);
+}
+
+try {
+  const business = (await getBusinessById(target)) || (await getBusinessBySlug(target));
+  const businessId = business ? business.id : target;
+  if (!business) {
+    console.log(`⚠️ No business row for "${target}"; sweeping any data left under that id`);
+  }
+
+  const report = await deleteBusinessData(businessId, { dryRun });
+  console.log(JSON.stringify(report, null, 2));
+  console.log(`${dryRun ? '🔍 Dry run: would remove' : '🗑️ Removed'} ${report.total} item(s) for ${report.slug || businessId}`);
+} catch (error) {
+  console.error('❌ Business deletion failed:', error);
+  process.exitCode = 1;
+}
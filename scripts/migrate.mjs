@@ -0,0 +1,28 @@
+// Create or update the storage schema (tables, indexes) and record its version.
+//
+//   npm run migrate              apply pending migrations
+//   npm run migrate -- --dry-run list pending migrations without changing anything
+//   npm run migrate -- --status  print the current and latest schema version
+//
+// Set DYNAMODB_ENDPOINT=http://localhost:8000 to provision DynamoDB Local.
+import 'dotenv/config';
+import { createStorage } from '../lib/storage/index.mjs';
+import { runMigrations, getSchemaVersion, LATEST_SCHEMA_VERSION } from '../lib/storage/migrations.mjs';
+
+const args = process.argv.slice(2);
+const storage = await createStorage();
+await storage.init();
+
+try {
+  if (args.includes('--status')) {
+    const version = await getSchemaVersion(storage);
+    console.log(`🗃️ ${storage.name} schema version ${version} (latest ${LATEST_SCHEMA_VERSION})`);
+    process.exitCode = version < LATEST_SCHEMA_VERSION ? 1 : 0;
+  } else {
+    console.log(`🗃️ Migrating ${storage.name} storage${process.env.DYNAMODB_ENDPOINT ? ` at ${process.env.DYNAMODB_ENDPOINT}` : ''}...`);
+    await runMigrations(storage, { dryRun: args.includes('--dry-run') });
+  }
+} catch (error) {
+  console.error('❌ Migration failed:', error);
+  process.exitCode = 1;
+}
@@ -0,0 +1,22 @@
+// Apply every business's retention settings once and print what was removed.
+//
+//   npm run retention              delete/anonymize expired data
+//   npm run retention -- --dry-run report what would change without touching it
+//
+// The server runs the same sweep every RETENTION_SWEEP_MINUTES (default 60);
+// set that to 0 and schedule this script instead if you prefer cron.
+import 'dotenv/config';
+import { sweepRetention } from '../lib/database.mjs';
+
+const dryRun = process.argv.slice(2).includes('--dry-run');
+
+try {
+  const results = await sweepRetention({ dryRun });
+  for (const r of results) {
+    console.log(`${dryRun ? '🔍' : '🧹'} ${r.slug}: ${r.messagesDeleted} messages, ${r.sessionsDeleted} sessions, ${r.leadsDeleted} leads, ${r.bookingsDeleted} bookings ${dryRun ? 'would be ' : ''}deleted; ${r.sessionsAnonymized} sessions ${dryRun ? 'would be ' : ''}anonymized`);
+  }
+  console.log(`✅ Retention ${dryRun ? 'dry run' : 'sweep'} finished for ${results.length} business(es) with retention settings`);
+} catch (error) {
+  console.error('❌ Retention sweep failed:', error);
+  process.exitCode = 1;
+}
@@ -32,6 +32,7 @@ import multer from 'multer';
 import path from 'path';
 import { fileURLToPath } from 'node:url';
 import { promises as fs } from 'fs';
+import crypto from 'node:crypto';
 
 // Import our modules
 import {
@@ -40,20 +41,57 @@ import {
   getBusinessByChatHash,
   getBusinessByAnalyticsHash,
   getBusinessById,
+  updateBusiness,
+  deleteBusinessData,
+  sweepRetention,
+  RETENTION_FIELDS,
   saveDocument,
+  getDocument,
+  updateDocument,
+  deleteDocument,
+  deleteDocumentChunks,
   saveChunk,
   createSession,
   updateSession,
   saveMessage,
   getSessionHistory,
   createLead,
+  getLead,
+  updateLead,
+  getLeadPipeline,
+  getSession,
+  getSessionTranscript,
   getBusinessAnalytics,
   getBusinessDocuments,
   getAllBusinesses,
+  getStorageBackend,
+  checkSchema,
+  listBusinesses,
+  listBusinessDocuments,
+  listBusinessSessions,
+  listBusinessLeads,
+  listLowConfidenceQuestions,
+  requestHandoff,
+  claimHandoff,
+  releaseHandoff,
+  listHandoffQueue,
+  getBooking,
+  cancelBooking,
+  listBusinessBookings,
+  getBookingSlotCounts,
 } from './lib/database.mjs';
 
 import { FileProcessor } from './lib/file-processor.mjs';
-import { aiSystem } from './lib/ai-system.mjs';
+import { aiSystem, ANSWER_LENGTHS, RESPONSE_FORMATS, GENERATION_LIMITS, PROMPT_TEXT_LIMITS } from './lib/ai-system.mjs';
+import { LLM_PROVIDERS } from './lib/llm/index.mjs';
+import { DEFAULT_RETRIEVAL_WEIGHTS } from './lib/retrieval.mjs';
+import { LANGUAGE_NAMES, detectLanguage, replyLanguage, needsTranslation } from './lib/language.mjs';
+import { scanForInjection, leaksSystemPrompt, leakSafeLength, guardReply } from './lib/guard.mjs';
+import { handoffHub, wantsHuman } from './lib/handoff.mjs';
+import { BOOKING_DEFAULTS, BOOKING_STATUSES, bookingConfig, wantsBooking, findResource, availableTimes, bookingSummary, bookingCalendar } from './lib/booking.mjs';
+import { normalizeWeeklyHours, normalizeOpeningHours, parseHoursText, openingHoursOf, openStatus, isDate, zonedParts, zonedTimeToUtc, addDays } from './lib/hours.mjs';
+import { intentsFor, INTENT_CLASSIFIERS } from './lib/intents.mjs';
+import { starterSuggestions } from './lib/suggestions.mjs';
 //import { emailService } from './lib/email-service.mjs';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
@@ -97,6 +135,42 @@ function createSessionToken(businessId, sessionId) {
   return jwt.sign({ businessId, sessionId }, JWT_SECRET, { expiresIn: SESSION_TIMEOUT });
 }
 
+function safeEqual(a, b) {
+  const digest = (v) => crypto.createHash('sha256').update(String(v)).digest();
+  return crypto.timingSafeEqual(digest(a), digest(b));
+}
+
+// Admin auth for per-business routes (/admin/business/:businessId/...).
+// Accepts the business's own api_key (returned when it was created) or the
+// deployment-wide ADMIN_API_KEY, via `x-api-key` or `Authorization: Bearer`.
+async function verifyBusinessApiKey(req, res, next) {
+  const authHeader = req.headers.authorization;
+  const apiKey = req.headers['x-api-key'] || (authHeader && authHeader.split(' ')[1]);
+  if (!apiKey) {
+    return res.status(401).json({ error: 'No API key provided' });
+  }
+  try {
+    const business = await getBusinessById(req.params.businessId);
+    const isAdmin = process.env.ADMIN_API_KEY && safeEqual(apiKey, process.env.ADMIN_API_KEY);
+    if (!business) {
+      return res.status(isAdmin ? 404 : 401).json({ error: isAdmin ? 'Business not found' : 'Invalid API key' });
+    }
+    if (!isAdmin && !safeEqual(apiKey, business.api_key)) {
+      return res.status(401).json({ error: 'Invalid API key' });
+    }
+    req.business = business;
+    next();
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to verify API key' });
+  }
+}
+
+// Parse ?limit=&cursor= for paginated list endpoints (limit clamped to 1..100).
+function parsePagination(query, defaultLimit = 25) {
+  const limit = Math.min(Math.max(parseInt(query.limit, 10) || defaultLimit, 1), 100);
+  return { limit, cursor: query.cursor || null };
+}
+
 function verifySessionToken(req, res, next) {
   const authHeader = req.headers.authorization;
   const token = authHeader && authHeader.split(' ')[1];
@@ -112,16 +186,10 @@ function verifySessionToken(req, res, next) {
   }
 }
 
-// Test routes for diagnostics
+// Test routes for diagnostics (exercises the deployment's default LLM provider)
 app.get('/debug/test-openai', async (req, res) => {
   try {
-    if (!process.env.OPENAI_API_KEY) {
-      return res.json({
-        success: false,
-        error: 'OPENAI_API_KEY not found in environment variables',
-        solution: 'Add OPENAI_API_KEY=your_key_here to your environment',
-      });
-    }
+    const { provider, embeddingModel, chatModel } = await aiSystem.resolveModels();
     const testText = 'This is a test sentence for embedding.';
     const embedding = await aiSystem.createEmbedding(testText);
     const testBusiness = {
@@ -141,21 +209,24 @@ app.get('/debug/test-openai', async (req, res) => {
     );
     res.json({
       success: true,
+      provider: provider.name,
       tests: {
-        apiKey: '✅ Found',
         embedding: `✅ Created (${embedding.length} dimensions)`,
         chatCompletion: '✅ Working',
         sampleResponse: testResponse,
       },
       models: {
-        embedding: aiSystem.embeddingModel,
-        chat: aiSystem.chatModel,
+        embedding: embeddingModel,
+        chat: chatModel,
       },
     });
   } catch (error) {
     let errorType = 'Unknown error';
     let solution = 'Check server logs for details';
-    if (error.message.includes('401')) {
+    if (error.message.includes('is required for the')) {
+      errorType = 'LLM provider not configured';
+      solution = 'Set the environment variables named in the details, or LLM_PROVIDER=mock for offline use';
+    } else if (error.message.includes('401')) {
       errorType = 'Invalid API key';
       solution = 'Check your OPENAI_API_KEY in environment';
     } else if (error.message.includes('quota')) {
@@ -169,19 +240,20 @@ app.get('/debug/test-openai', async (req, res) => {
   }
 });
 
-// Test DynamoDB connectivity by listing a few businesses
+// Test storage connectivity (DynamoDB or SQLite) by listing a few businesses
 app.get('/debug/test-dynamodb', async (req, res) => {
   try {
     const businesses = await getAllBusinesses();
     res.json({
       success: true,
+      backend: getStorageBackend(),
       region: process.env.AWS_REGION,
       businessCount: businesses.length,
-      message: 'DynamoDB connection working!',
+      message: `${getStorageBackend()} storage working!`,
       businesses: businesses.slice(0, 3),
     });
   } catch (error) {
-    res.status(500).json({ success: false, error: error.message, region: process.env.AWS_REGION });
+    res.status(500).json({ success: false, backend: getStorageBackend(), error: error.message, region: process.env.AWS_REGION });
   }
 });
 
@@ -1020,6 +1092,7 @@ app.get('/api/business/:chatHash', async (req, res) => {
       primary_color: business.primary_color,
       secondary_color: business.secondary_color,
       welcome_message: business.welcome_message,
+      starter_suggestions: starterSuggestions(business),
     };
     res.json(publicInfo);
   } catch (error) {
@@ -1045,6 +1118,7 @@ app.post('/api/chat/init', async (req, res) => {
         name: business.name,
         welcomeMessage: business.welcome_message,
         primaryColor: business.primary_color,
+        suggestions: starterSuggestions(business),
       },
     });
   } catch (error) {
@@ -1052,33 +1126,333 @@ app.post('/api/chat/init', async (req, res) => {
   }
 });
 
+// Shared by the JSON and streaming chat endpoints: everything that happens
+// before the model is asked for an answer...
+async function prepareChatTurn(business, sessionId, message) {
+  // Blocked messages stay out of the model's view on later turns too. The last
+  // few turns are the model's context; everything the visitor asked shapes the
+  // follow-up suggestions.
+  const session = (await getSessionHistory(sessionId, 50)).filter(msg => !msg.blocked);
+  const history = session.slice(-6);
+  const asked = session.filter(msg => msg.role === 'user').map(msg => msg.content);
+  // Messages without a language of their own ("ok", a product code) keep the conversation's
+  const detectedLanguage = detectLanguage(message)
+    || [...history].reverse().find(msg => msg.role === 'user' && msg.language)?.language
+    || null;
+  const language = replyLanguage(business, detectedLanguage);
+  // Injection attempts are refused without retrieval or a model call
+  const guard = scanForInjection(message);
+  if (guard.blocked) {
+    console.warn(`🛡️ Blocked message in session ${sessionId} (${guard.patterns.join(', ')})`);
+    const intents = await aiSystem.classifyIntents(business, message, { method: 'keywords' });
+    return {
+      intent: intents[0].intent, intents, sentiment: aiSystem.analyzeSentiment(message), detectedLanguage, language,
+      searchQuery: message, relevantChunks: [], droppedChunks: [], history, asked, retrieval: {}, smallTalk: false,
+      declined: false, blocked: true, guard, judgment: null, sessionId, bookingTools: false, booking: null
+    };
+  }
+  const smallTalk = aiSystem.isSmallTalk(message);
+  // Retrieve with follow-ups rewritten into standalone queries, in the
+  // knowledge base's language
+  const translateTo = needsTranslation(business, detectedLanguage) ? (business.knowledge_language || 'en') : null;
+  const searchQuery = smallTalk ? message : await aiSystem.condenseQuery(business, message, history, { translateTo });
+  if (searchQuery !== message) {
+    console.log(`🔁 Rewrote ${translateTo ? `${detectedLanguage} message` : 'follow-up'} "${message}" as "${searchQuery}"`);
+  }
+  // Intent examples and sentiment keywords are English, so read translated messages in English
+  const analyzed = translateTo === 'en' ? searchQuery : message;
+  const intents = await aiSystem.classifyIntents(business, analyzed);
+  const intent = intents[0].intent;
+  const sentiment = aiSystem.analyzeSentiment(analyzed);
+  // Chunks whose text tries to instruct the model never reach the prompt
+  const retrieved = await aiSystem.retrieveRelevantChunks(business, searchQuery);
+  const relevantChunks = retrieved.filter(chunk => !chunk.injection);
+  const droppedChunks = retrieved.filter(chunk => chunk.injection);
+  for (const chunk of droppedChunks) {
+    console.warn(`🛡️ Dropped chunk ${chunk.id} of "${chunk.document_name || chunk.document_id}" (${chunk.injection.join(', ')})`);
+  }
+  // Booking conversations get the booking tools; their answers come from the
+  // tools rather than the documents, so weak retrieval doesn't decline them.
+  const bookingTools = Boolean(bookingConfig(business)) && wantsBooking(analyzed, history);
+  // With weak retrieval evidence, decline before spending a model call
+  const retrieval = aiSystem.assessRetrieval(business, searchQuery, relevantChunks);
+  const declined = !smallTalk && !bookingTools && aiSystem.isBelowThreshold(business, aiSystem.scoreConfidence(retrieval));
+  return {
+    intent, intents, sentiment, detectedLanguage, language, searchQuery, relevantChunks, droppedChunks, history, asked, retrieval, smallTalk,
+    declined, blocked: false, guard, judgment: null, sessionId, bookingTools, booking: null
+  };
+}
+
+// ...and everything after: store both sides of the exchange and build the
+// reply metadata the widget renders.
+// An answer the model itself rates low and that falls under the threshold is
+// replaced with the decline reply too. Questions that were declined, or that the
+// model rated low, are flagged for review. Blocked messages and replies that
+// quote the system prompt get the business's guard reply instead, and every
+// guard finding is recorded on the user message for the analytics page. While
+// the visitor waits for an agent, the exchange is also relayed to the inbox.
+async function completeChatTurn(business, sessionId, message, turn, response, handoff = null) {
+  const confidence = aiSystem.scoreConfidence({ ...turn.retrieval, judgment: turn.judgment });
+  const leak = !turn.blocked && leaksSystemPrompt(response);
+  if (leak) console.warn(`🛡️ Withheld a reply quoting the system prompt in session ${sessionId}`);
+  const blocked = turn.blocked || leak;
+  const rated = !turn.smallTalk && !turn.bookingTools;
+  const declined = !blocked && (turn.declined || (rated && turn.judgment === 'low' && aiSystem.isBelowThreshold(business, confidence)));
+  if (blocked) response = guardReply(business);
+  else if (declined) response = await aiSystem.declineReply(business, turn.language);
+  const lowConfidence = declined || (!blocked && rated && turn.judgment === 'low');
+  const guard = turn.guard.patterns.length || turn.droppedChunks.length || leak
+    ? { patterns: turn.guard.patterns, blocked, dropped_chunks: turn.droppedChunks.map(c => c.id), leak }
+    : null;
+
+  await saveMessage(sessionId, business.id, 'user', message, turn.intent, turn.sentiment, confidence, turn.relevantChunks.map(c => c.id), {
+    lowConfidence,
+    searchQuery: turn.searchQuery !== message ? turn.searchQuery : null,
+    language: turn.detectedLanguage,
+    intents: turn.intents,
+    guard,
+  });
+  const sources = declined || blocked ? [] : aiSystem.citeSources(response, turn.relevantChunks);
+  const booking = turn.booking && !blocked ? bookingSummary(turn.booking) : null;
+  await saveMessage(sessionId, business.id, 'assistant', response, '', 'neutral', confidence, [], {
+    sources,
+    language: turn.language,
+    booking: booking && { id: booking.id, reference: booking.reference },
+  });
+  if (handoff) {
+    relayToInbox(business.id, sessionId, 'user', message);
+    relayToInbox(business.id, sessionId, 'assistant', response);
+  }
+  return {
+    response,
+    sources,
+    suggestions: blocked ? [] : await aiSystem.generateSuggestions(business, {
+      intents: turn.intents,
+      chunks: turn.relevantChunks,
+      asked: [...turn.asked, message],
+    }),
+    // Booking conversations are handled by the booking tools instead of the contact form
+    showContactForm: declined || (!turn.bookingTools && aiSystem.shouldShowContactForm(business, turn.intents, message)),
+    intent: turn.intent,
+    intents: turn.intents,
+    sentiment: turn.sentiment,
+    confidence,
+    declined,
+    blocked,
+    language: turn.language,
+    handoff,
+    booking,
+  };
+}
+
+const CHAT_ERROR_REPLY = {
+  response: "I'm sorry, I'm having technical difficulties. Please try again or contact us directly.",
+  suggestions: ['Try again', 'Contact us', 'Get help'],
+};
+
+const HANDOFF_WAITING_REPLY = "I've asked a member of our team to join this chat. They'll be with you shortly; in the meantime I'm happy to keep helping.";
+const HANDOFF_UNAVAILABLE_REPLY = "Our team isn't available to chat right now. Leave your details and we'll get back to you as soon as we can.";
+
+function relayToInbox(businessId, sessionId, role, content, agentName = null) {
+  handoffHub.publishToInbox(businessId, 'message', {
+    sessionId, role, content, agent_name: agentName, timestamp: new Date().toISOString(),
+  });
+}
+
+// Whether a visitor asking for a person can be queued: an agent is online and,
+// for businesses with opening hours, the business is open.
+function agentsAvailable(business) {
+  const openingHours = openingHoursOf(business);
+  return handoffHub.agentsOnline(business.id).length > 0
+    && (!openingHours || openStatus(openingHours, business.timezone || 'UTC').open);
+}
+
+// Waiting requests go back to the bot once no agent is left to answer them.
+async function expireHandoff(businessId, sessionId) {
+  if (!await releaseHandoff(businessId, sessionId, 'waiting')) return false;
+  console.log(`⌛ Handoff request of session ${sessionId} expired with no agent online`);
+  handoffHub.publishToSession(sessionId, 'handoff', { status: 'bot' });
+  handoffHub.publishToInbox(businessId, 'queue', { sessionId, status: null });
+  return true;
+}
+
+// Live handoff, checked before the bot sees a message. While an agent has the
+// conversation, messages are only stored and relayed to the inbox. A visitor
+// asking for a person joins the queue when an agent is online within business
+// hours, and is offered the contact form otherwise. A visitor still waiting
+// after the last agent went offline is back with the bot. Returns the
+// session's handoff status, plus the reply for turns the bot sits out.
+async function handoffTurn(business, sessionId, message) {
+  const session = await getSession(sessionId, business.id);
+  let status = session?.handoff_status || null;
+  if (status === 'waiting' && !handoffHub.agentsOnline(business.id).length && await expireHandoff(business.id, sessionId)) {
+    status = null;
+  }
+  if (status !== 'active' && (status || !wantsHuman(message))) {
+    return { status };
+  }
+  const intents = await aiSystem.classifyIntents(business, message, { method: 'keywords' });
+  const sentiment = aiSystem.analyzeSentiment(message);
+  await saveMessage(sessionId, business.id, 'user', message, intents[0].intent, sentiment, 0, [], { intents });
+  const reply = {
+    response: '', sources: [], suggestions: [], showContactForm: false, intent: intents[0].intent, intents, sentiment,
+    confidence: 0, declined: false, blocked: false, language: null, handoff: status, booking: null,
+  };
+  if (status === 'active') {
+    relayToInbox(business.id, sessionId, 'user', message);
+    return { status, reply: { ...reply, agent: session.agent_name } };
+  }
+
+  if (agentsAvailable(business) && await requestHandoff(business.id, sessionId)) {
+    console.log(`🙋 Session ${sessionId} is waiting for an agent`);
+    await saveMessage(sessionId, business.id, 'assistant', HANDOFF_WAITING_REPLY);
+    handoffHub.publishToInbox(business.id, 'queue', { sessionId, status: 'waiting' });
+    return { status: 'waiting', reply: { ...reply, response: HANDOFF_WAITING_REPLY, handoff: 'waiting' } };
+  }
+  await saveMessage(sessionId, business.id, 'assistant', HANDOFF_UNAVAILABLE_REPLY);
+  return { status, reply: { ...reply, response: HANDOFF_UNAVAILABLE_REPLY, showContactForm: true } };
+}
+
+// Server-Sent Events. openEventStream starts the response and returns
+// send(event, data). Long-lived streams (the widget's and the inbox's) also get
+// a comment line every HEARTBEAT_MS so proxies don't close them while idle, and
+// are unsubscribed from the handoff hub when the client disconnects.
+const HEARTBEAT_MS = 25000;
+
+function openEventStream(res) {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no', // stop nginx-style proxies from buffering the stream
+  });
+  return (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+function holdEventStream(res, subscribe, onClose = null) {
+  const send = openEventStream(res);
+  const unsubscribe = subscribe(send);
+  const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), HEARTBEAT_MS);
+  res.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+    onClose?.();
+  });
+  return send;
+}
+
 // Public: Send message within a chat session
 app.post('/api/chat/message', verifySessionToken, async (req, res) => {
   try {
     const { message } = req.body;
     const { businessId, sessionId } = req.session;
-    if (!message || message.trim().length === 0) {
+    if (typeof message !== 'string' || message.trim().length === 0) {
       return res.status(400).json({ error: 'Message cannot be empty' });
     }
     const business = await getBusinessById(businessId);
     if (!business) {
       return res.status(404).json({ error: 'Business not found' });
     }
-    const intent = aiSystem.analyzeIntent(message);
-    const sentiment = aiSystem.analyzeSentiment(message);
-    const relevantChunks = await aiSystem.retrieveRelevantChunks(businessId, message);
-    const history = await getSessionHistory(sessionId, 6);
-    const aiResponse = await aiSystem.generateResponse(business, message, history, relevantChunks);
-    await saveMessage(sessionId, businessId, 'user', message, intent, sentiment, 0.8, relevantChunks.map(c => c.id));
-    await saveMessage(sessionId, businessId, 'assistant', aiResponse);
-    const suggestions = aiSystem.generateSuggestions(intent, business);
-    const showContactForm = aiSystem.shouldShowContactForm(intent, message);
-    res.json({ response: aiResponse, suggestions, showContactForm, intent, sentiment });
+    const handoff = await handoffTurn(business, sessionId, message);
+    if (handoff.reply) {
+      return res.json(handoff.reply);
+    }
+    const turn = await prepareChatTurn(business, sessionId, message);
+    const aiResponse = turn.declined || turn.blocked ? '' : await aiSystem.generateResponse(business, message, turn.history, turn.relevantChunks, turn);
+    res.json(await completeChatTurn(business, sessionId, message, turn, aiResponse, handoff.status));
   } catch (error) {
-    res.status(500).json({
-      response: "I'm sorry, I'm having technical difficulties. Please try again or contact us directly.",
-      suggestions: ['Try again', 'Contact us', 'Get help'],
-    });
+    res.status(500).json(CHAT_ERROR_REPLY);
+  }
+});
+
+// Public: Same as /api/chat/message but streamed as Server-Sent Events:
+//   event: token  data: { text }        one per chunk of the answer; `done` carries the final text to show
+//   event: done   data: { response, sources, suggestions, showContactForm, intent, intents, sentiment, confidence, declined, blocked, language, handoff, booking }
+//   event: error  data: { response, suggestions }
+// While an agent has the conversation, `done` arrives alone with an empty response.
+// When the business's confidence_threshold could still decline the answer, the
+// answer arrives whole in `done`, without tokens.
+// Validation failures are still plain JSON errors, sent before the stream opens.
+app.post('/api/chat/message/stream', verifySessionToken, async (req, res) => {
+  const { message } = req.body;
+  const { businessId, sessionId } = req.session;
+  if (typeof message !== 'string' || message.trim().length === 0) {
+    return res.status(400).json({ error: 'Message cannot be empty' });
+  }
+  let business;
+  try {
+    business = await getBusinessById(businessId);
+  } catch (error) {
+    return res.status(500).json(CHAT_ERROR_REPLY);
+  }
+  if (!business) {
+    return res.status(404).json({ error: 'Business not found' });
+  }
+
+  const send = openEventStream(res);
+  let clientGone = false;
+  res.on('close', () => { clientGone = !res.writableEnded; });
+
+  try {
+    const handoff = await handoffTurn(business, sessionId, message);
+    if (handoff.reply) {
+      if (!clientGone) send('done', handoff.reply);
+      return;
+    }
+    const turn = await prepareChatTurn(business, sessionId, message);
+    // Tokens are only sent once it's clear they don't quote the system prompt;
+    // the rest of the answer arrives with `done`. An answer the model could
+    // still rate low enough to be declined isn't streamed at all: the visitor
+    // waits longer for it, but never reads an answer that is then taken back.
+    const mayDecline = !turn.smallTalk && !turn.bookingTools
+      && aiSystem.isBelowThreshold(business, aiSystem.scoreConfidence({ ...turn.retrieval, judgment: 'low' }));
+    let response = '';
+    let sent = 0;
+    if (!turn.declined && !turn.blocked) {
+      for await (const text of aiSystem.streamResponse(business, message, turn.history, turn.relevantChunks, turn)) {
+        if (clientGone) break;
+        response += text;
+        const safe = mayDecline ? 0 : leakSafeLength(response);
+        if (safe > sent) {
+          send('token', { text: response.slice(sent, safe) });
+          sent = safe;
+        }
+      }
+    }
+    // A visitor who closed the widget mid-answer still gets the partial reply on record.
+    response = response.trimEnd() || 'I apologize, but I had trouble generating a response. Please try again.';
+    const reply = await completeChatTurn(business, sessionId, message, turn, response, handoff.status);
+    if (!clientGone) send('done', reply);
+  } catch (error) {
+    console.error('❌ Error streaming chat response:', error);
+    if (!clientGone) send('error', CHAT_ERROR_REPLY);
+  } finally {
+    res.end();
+  }
+});
+
+// Public: Live events for the visitor's widget, as Server-Sent Events:
+//   event: handoff  data: { status, agent }   an agent took over ('active') or handed back ('bot')
+//   event: message  data: { role, content, agent_name, timestamp }   an agent's reply
+app.get('/api/chat/events', verifySessionToken, (req, res) => {
+  holdEventStream(res, send => handoffHub.subscribeSession(req.session.sessionId, send));
+});
+
+// Public: A booking made in this chat as an iCalendar file, for the widget's
+// "Add to calendar" link.
+app.get('/api/chat/bookings/:bookingId/calendar.ics', verifySessionToken, async (req, res) => {
+  try {
+    const { businessId, sessionId } = req.session;
+    const booking = await getBooking(businessId, req.params.bookingId);
+    if (!booking || booking.session_id !== sessionId) {
+      return res.status(404).json({ error: 'Booking not found' });
+    }
+    const business = await getBusinessById(businessId);
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="booking-${booking.reference}.ics"`);
+    res.send(bookingCalendar(booking, business));
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to fetch booking' });
   }
 });
 
@@ -1094,35 +1468,201 @@ app.post('/api/lead/capture', verifySessionToken, async (req, res) => {
     if (!business) {
       return res.status(404).json({ error: 'Business not found' });
     }
-    const leadData = { name, email, phone, interest, budget, timeline, message };
+    const leadData = { name, email, phone, interest, budget, timeline, message, status: getLeadPipeline(business)[0] };
     const leadId = await createLead(businessId, sessionId, leadData);
     await updateSession(sessionId, {
       user_name: name,
       user_email: email,
       user_phone: phone || '',
-    });
+    }, businessId);
     res.json({ success: true, leadId, message: `Thank you ${name}! We've received your information and will get back to you soon.` });
   } catch (error) {
     res.status(500).json({ error: 'Failed to save your information. Please try again.' });
   }
 });
 
+// The analytics link is meant to be shared, so everything served by hash
+// carries only the fields needed for reporting: no IPs, user agents, visitor
+// contact details or the team's notes on a lead. The full records are behind
+// the API key (see the leads and inbox routes).
+const PUBLIC_SESSION_FIELDS = ['id', 'started_at', 'ended_at', 'total_messages', 'session_duration_minutes', 'is_lead', 'lead_score'];
+const PUBLIC_LEAD_FIELDS = ['id', 'session_id', 'status', 'source', 'interest', 'budget', 'timeline', 'created_at'];
+
+const pickFields = (item, fields) => Object.fromEntries(fields.filter(field => field in item).map(field => [field, item[field]]));
+
 // Public: Analytics API by hash
 app.get('/api/analytics/:analyticsHash', async (req, res) => {
   try {
     const { analyticsHash } = req.params;
-    const { days = 30 } = req.query;
+    const days = Math.min(Math.max(parseInt(req.query.days, 10) || 30, 1), 365);
     const business = await getBusinessByAnalyticsHash(analyticsHash);
     if (!business) {
       return res.status(404).json({ error: 'Analytics not found' });
     }
-    const analytics = await getBusinessAnalytics(business.id, parseInt(days, 10));
-    res.json({ business: { name: business.name, chat_hash: business.chat_hash }, period: `${days} days`, analytics });
+    const analytics = await getBusinessAnalytics(business.id, days, business.timezone);
+    // The intent taxonomy lets the page list configured intents nobody has asked about yet
+    const intents = intentsFor(business).map(({ name, description }) => ({ name, description }));
+    analytics.recentLeads = analytics.recentLeads.map(lead => pickFields(lead, PUBLIC_LEAD_FIELDS));
+    res.json({ business: { name: business.name, chat_hash: business.chat_hash, intents }, period: `${days} days`, analytics });
   } catch (error) {
     res.status(500).json({ error: 'Failed to fetch analytics' });
   }
 });
 
+// Public: Paginated sessions and leads by analytics hash (?days=&limit=&cursor=)
+app.get('/api/analytics/:analyticsHash/sessions', async (req, res) => {
+  try {
+    const business = await getBusinessByAnalyticsHash(req.params.analyticsHash);
+    if (!business) {
+      return res.status(404).json({ error: 'Analytics not found' });
+    }
+    const days = parseInt(req.query.days, 10) || 30;
+    const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+    const page = await listBusinessSessions(business.id, { since, ...parsePagination(req.query) });
+    res.json({ sessions: page.items.map(session => pickFields(session, PUBLIC_SESSION_FIELDS)), cursor: page.cursor });
+  } catch (error) {
+    if (error.status === 400) return res.status(400).json({ error: error.message });
+    res.status(500).json({ error: 'Failed to fetch sessions' });
+  }
+});
+
+app.get('/api/analytics/:analyticsHash/leads', async (req, res) => {
+  try {
+    const business = await getBusinessByAnalyticsHash(req.params.analyticsHash);
+    if (!business) {
+      return res.status(404).json({ error: 'Analytics not found' });
+    }
+    const days = parseInt(req.query.days, 10) || 30;
+    const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+    const page = await listBusinessLeads(business.id, { since, ...parsePagination(req.query) });
+    res.json({ leads: page.items.map(lead => pickFields(lead, PUBLIC_LEAD_FIELDS)), cursor: page.cursor });
+  } catch (error) {
+    if (error.status === 400) return res.status(400).json({ error: error.message });
+    res.status(500).json({ error: 'Failed to fetch leads' });
+  }
+});
+
+// Chunk and embed a document's text, writing chunks as `${documentId}#${chunkIndex}`.
+// Saving over existing ids is safe, so the same path serves uploads and re-indexing.
+// Chunks that fail to embed are listed in failedChunks; on a re-index they keep
+// their previous text and embedding.
+async function indexDocumentChunks(businessId, documentId, content, category, label) {
+  // Embed with the business's own provider/model so queries match its chunks
+  const business = await getBusinessById(businessId);
+  // FIXED: PARALLEL CHUNK PROCESSING TO PREVENT TIMEOUTS
+  const chunks = FileProcessor.chunkText(content);
+  let chunkCount = 0;
+  const failedChunks = [];
+  
+  console.log(`🔄 Processing ${chunks.length} chunks for ${label}...`);
+  
+  // Limit chunks to prevent timeout (adjust based on your needs)
+  const MAX_CHUNKS = 30; // Process max 30 chunks per file to stay under timeout
+  const limitedChunks = chunks.slice(0, MAX_CHUNKS);
+  
+  if (chunks.length > MAX_CHUNKS) {
+    console.log(`⚠️ Limiting to first ${MAX_CHUNKS} chunks (was ${chunks.length}) for ${label}`);
+  }
+  
+  // Process chunks in parallel batches
+  const BATCH_SIZE = 5; // Process 5 chunks simultaneously
+  
+  for (let i = 0; i < limitedChunks.length; i += BATCH_SIZE) {
+    const batch = limitedChunks.slice(i, i + BATCH_SIZE);
+    const batchNum = Math.floor(i / BATCH_SIZE) + 1;
+    const totalBatches = Math.ceil(limitedChunks.length / BATCH_SIZE);
+    
+    console.log(`📦 Processing batch ${batchNum}/${totalBatches} (${batch.length} chunks) for ${label}`);
+    
+    // Create promises for parallel processing
+    const batchPromises = batch.map(async (chunk, batchIndex) => {
+      const chunkIndex = i + batchIndex;
+      const keywords = FileProcessor.extractKeywords(chunk);
+      
+      try {
+        // Add timeout protection to OpenAI call
+        const embedding = await Promise.race([
+          aiSystem.createEmbedding(chunk, business),
+          new Promise((_, reject) => 
+            setTimeout(() => reject(new Error('Embedding timeout after 15s')), 15000)
+          )
+        ]);
+        
+        await saveChunk(businessId, documentId, chunkIndex, chunk, embedding, category, keywords);
+        return { success: true, chunkIndex };
+      } catch (embeddingError) {
+        console.error(`❌ Chunk ${chunkIndex} failed for ${label}:`, embeddingError.message);
+        return { success: false, chunkIndex, error: embeddingError.message };
+      }
+    });
+    
+    // Wait for the entire batch to complete
+    try {
+      const batchResults = await Promise.allSettled(batchPromises);
+      const successCount = batchResults.filter(
+        r => r.status === 'fulfilled' && r.value.success
+      ).length;
+      chunkCount += successCount;
+      batchResults.forEach((r, batchIndex) => {
+        if (r.status !== 'fulfilled' || !r.value.success) failedChunks.push(i + batchIndex);
+      });
+      
+      console.log(`✅ Batch ${batchNum} completed: ${successCount}/${batch.length} successful for ${label}`);
+      
+      // Small delay between batches to avoid rate limits
+      if (i + BATCH_SIZE < limitedChunks.length) {
+        await new Promise(resolve => setTimeout(resolve, 200));
+      }
+    } catch (batchError) {
+      console.error(`❌ Batch ${batchNum} error for ${label}:`, batchError);
+    }
+  }
+  
+  console.log(`✅ File processing completed: ${chunkCount}/${limitedChunks.length} chunks saved for ${label}`);
+  await updateDocument(businessId, documentId, { chunk_count: chunkCount });
+  aiSystem.invalidateChunkIndex(businessId);
+
+  return { chunks: chunkCount, totalChunksInFile: chunks.length, processedChunks: limitedChunks.length, failedChunks };
+}
+
+// Extract, chunk, embed and store one uploaded file as a document of the
+// business. Returns a per-file result; never throws. The temp file is removed.
+async function ingestFile(businessId, file) {
+  let documentId = null;
+  try {
+    console.log(`📄 Processing file: ${file.originalname}`);
+    const fileExt = path.extname(file.originalname).slice(1).toLowerCase();
+    const content = await FileProcessor.processFile(file.path, fileExt, file.originalname);
+    const category = FileProcessor.categorizeContent(content, file.originalname);
+    documentId = await saveDocument(
+      businessId,
+      file.filename,
+      file.originalname,
+      file.mimetype,
+      file.size,
+      content,
+      category,
+    );
+
+    const indexed = await indexDocumentChunks(businessId, documentId, content, category, file.originalname);
+
+    return {
+      filename: file.originalname,
+      documentId,
+      status: 'success',
+      ...indexed,
+      category,
+      size: file.size,
+    };
+  } catch (fileError) {
+    console.error(`Error processing file ${file.originalname}:`, fileError);
+    return { filename: file.originalname, documentId, status: 'error', error: fileError.message };
+  } finally {
+    // Remove the temp file
+    await fs.unlink(file.path).catch(() => {});
+  }
+}
+
 // Admin: Combined create business + upload files (FIXED FOR TIMEOUTS)
 app.post('/admin/business/create-and-upload', upload.array('files', 10), async (req, res) => {
   console.log('🚀 CREATE-AND-UPLOAD endpoint hit');
@@ -1163,13 +1703,17 @@ app.post('/admin/business/create-and-upload', upload.array('files', 10), async (
       console.log('❌ Missing required fields');
       return res.status(400).json({ error: 'Business slug and name are required' });
     }
+    const invalid = retentionErrors(businessData);
+    if (invalid.length) {
+      return res.status(400).json({ error: invalid.join('; '), errors: invalid });
+    }
     // Check if slug exists
     const existing = await getBusinessBySlug(businessData.slug);
     if (existing) {
       return res.status(409).json({ error: 'Business slug already exists' });
     }
     // Create the business
-    console.log('💾 About to create business in DynamoDB...');
+    console.log(`💾 About to create business in ${getStorageBackend()}...`);
     const result = await createBusiness(businessData);
     console.log('✅ Business created successfully');
     const business = await getBusinessById(result.id);
@@ -1183,105 +1727,9 @@ app.post('/admin/business/create-and-upload', upload.array('files', 10), async (
     if (req.files && req.files.length > 0) {
       console.log(`📁 Processing ${req.files.length} files with parallel optimization...`);
       for (const file of req.files) {
-        try {
-          console.log(`📄 Processing file: ${file.originalname}`);
-          const fileExt = path.extname(file.originalname).slice(1).toLowerCase();
-          const content = await FileProcessor.processFile(file.path, fileExt, file.originalname);
-          const category = FileProcessor.categorizeContent(content, file.originalname);
-          const documentId = await saveDocument(
-            business.id,
-            file.filename,
-            file.originalname,
-            file.mimetype,
-            file.size,
-            content,
-            category,
-          );
-
-          // FIXED: PARALLEL CHUNK PROCESSING TO PREVENT TIMEOUTS
-          const chunks = FileProcessor.chunkText(content);
-          let chunkCount = 0;
-          
-          console.log(`🔄 Processing ${chunks.length} chunks for ${file.originalname}...`);
-          
-          // Limit chunks to prevent timeout (adjust based on your needs)
-          const MAX_CHUNKS = 30; // Process max 30 chunks per file to stay under timeout
-          const limitedChunks = chunks.slice(0, MAX_CHUNKS);
-          
-          if (chunks.length > MAX_CHUNKS) {
-            console.log(`⚠️ Limiting to first ${MAX_CHUNKS} chunks (was ${chunks.length}) for ${file.originalname}`);
-          }
-          
-          // Process chunks in parallel batches
-          const BATCH_SIZE = 5; // Process 5 chunks simultaneously
-          
-          for (let i = 0; i < limitedChunks.length; i += BATCH_SIZE) {
-            const batch = limitedChunks.slice(i, i + BATCH_SIZE);
-            const batchNum = Math.floor(i / BATCH_SIZE) + 1;
-            const totalBatches = Math.ceil(limitedChunks.length / BATCH_SIZE);
-            
-            console.log(`📦 Processing batch ${batchNum}/${totalBatches} (${batch.length} chunks) for ${file.originalname}`);
-            
-            // Create promises for parallel processing
-            const batchPromises = batch.map(async (chunk, batchIndex) => {
-              const chunkIndex = i + batchIndex;
-              const keywords = FileProcessor.extractKeywords(chunk);
-              
-              try {
-                // Add timeout protection to OpenAI call
-                const embedding = await Promise.race([
-                  aiSystem.createEmbedding(chunk),
-                  new Promise((_, reject) => 
-                    setTimeout(() => reject(new Error('Embedding timeout after 15s')), 15000)
-                  )
-                ]);
-                
-                await saveChunk(business.id, documentId, chunkIndex, chunk, embedding, category, keywords);
-                return { success: true, chunkIndex };
-              } catch (embeddingError) {
-                console.error(`❌ Chunk ${chunkIndex} failed for ${file.originalname}:`, embeddingError.message);
-                return { success: false, chunkIndex, error: embeddingError.message };
-              }
-            });
-            
-            // Wait for the entire batch to complete
-            try {
-              const batchResults = await Promise.allSettled(batchPromises);
-              const successCount = batchResults.filter(
-                r => r.status === 'fulfilled' && r.value.success
-              ).length;
-              chunkCount += successCount;
-              
-              console.log(`✅ Batch ${batchNum} completed: ${successCount}/${batch.length} successful for ${file.originalname}`);
-              
-              // Small delay between batches to avoid rate limits
-              if (i + BATCH_SIZE < limitedChunks.length) {
-                await new Promise(resolve => setTimeout(resolve, 200));
-              }
-            } catch (batchError) {
-              console.error(`❌ Batch ${batchNum} error for ${file.originalname}:`, batchError);
-            }
-          }
-          
-          console.log(`✅ File processing completed: ${chunkCount}/${limitedChunks.length} chunks saved for ${file.originalname}`);
-
-          uploadResults.push({
-            filename: file.originalname,
-            status: 'success',
-            chunks: chunkCount,
-            totalChunksInFile: chunks.length,
-            processedChunks: limitedChunks.length,
-            category,
-            size: file.size,
-          });
-          totalChunks += chunkCount;
-        } catch (fileError) {
-          console.error(`Error processing file ${file.originalname}:`, fileError);
-          uploadResults.push({ filename: file.originalname, status: 'error', error: fileError.message });
-        } finally {
-          // Remove the temp file
-          await fs.unlink(file.path).catch(() => {});
-        }
+        const result = await ingestFile(business.id, file);
+        uploadResults.push(result);
+        totalChunks += result.chunks || 0;
       }
     }
     console.log('✅ All files processed successfully');
@@ -1324,6 +1772,10 @@ app.post('/admin/business/create', async (req, res) => {
     if (!businessData.slug || !businessData.name) {
       return res.status(400).json({ error: 'Business slug and name are required' });
     }
+    const invalid = retentionErrors(businessData);
+    if (invalid.length) {
+      return res.status(400).json({ error: invalid.join('; '), errors: invalid });
+    }
     const existing = await getBusinessBySlug(businessData.slug);
     if (existing) {
       return res.status(409).json({ error: 'Business slug already exists' });
@@ -1349,16 +1801,792 @@ app.post('/admin/business/create', async (req, res) => {
   }
 });
 
-// List all businesses
+// List all businesses. With ?limit= or ?cursor= a single page is returned as
+// { businesses, cursor }; without them the full array (legacy shape).
 app.get('/admin/businesses', async (req, res) => {
   try {
+    if (req.query.limit || req.query.cursor) {
+      const page = await listBusinesses(parsePagination(req.query));
+      return res.json({ businesses: page.items, cursor: page.cursor });
+    }
     const businesses = await getAllBusinesses();
     res.json(businesses);
   } catch (error) {
+    if (error.status === 400) return res.status(400).json({ error: error.message });
     res.status(500).json({ error: 'Failed to fetch businesses' });
   }
 });
 
+// Business profile editing. Only these fields may change after creation;
+// ids, hashes and the API key are immutable.
+const EDITABLE_BUSINESS_FIELDS = {
+  name: 'string',
+  slug: 'string',
+  description: 'string',
+  email: 'string',
+  phone: 'string',
+  address: 'string',
+  website: 'string',
+  hours: 'string',
+  // { weekly, exceptions } evaluated in `timezone`; see lib/hours.mjs. When
+  // only `hours` changes, the weekly part is re-read from its text.
+  opening_hours: 'opening_hours',
+  timezone: 'string',
+  maps_url: 'string',
+  logo_url: 'string',
+  primary_color: 'string',
+  secondary_color: 'string',
+  welcome_message: 'string',
+  // Prompt settings; see AISystem.buildSystemPrompt. Empty values use the built-in defaults.
+  system_prompt: 'string',
+  persona: 'string',
+  forbidden_topics: 'topics',
+  answer_length: 'string',
+  response_format: 'string',
+  temperature: 'temperature',
+  max_tokens: 'tokens',
+  enable_email_notifications: 'boolean',
+  enable_lead_capture: 'boolean',
+  enable_file_uploads: 'boolean',
+  message_retention_days: 'days',
+  session_retention_days: 'days',
+  ip_retention_days: 'days',
+  lead_retention_days: 'days',
+  booking_retention_days: 'days',
+  lead_pipeline: 'stages',
+  // Empty strings fall back to the deployment's LLM provider and models.
+  llm_provider: 'string',
+  chat_model: 'string',
+  embedding_model: 'string',
+  retrieval_weights: 'weights',
+  // 0..1; below it the bot declines to guess. null or 0 turns it off.
+  confidence_threshold: 'fraction',
+  // Languages visitors are answered in (null: any), the fallback for others,
+  // and the language the documents are written in (default en).
+  languages: 'languages',
+  default_language: 'language',
+  knowledge_language: 'language',
+  // Reply to blocked prompt-injection attempts; empty uses the built-in one.
+  guard_message: 'string',
+  // The business's own intent taxonomy (null: the generic defaults) and how
+  // messages are classified into it; see AISystem.classifyIntents.
+  intents: 'intents',
+  intent_classifier: 'string',
+  // Quick replies shown when the chat opens (null: the built-in ones).
+  starter_suggestions: 'suggestions',
+  // Bookable resources and their hours; see lib/booking.mjs. null: no bookings.
+  booking: 'booking',
+};
+
+// Retention limits are whole days; null means keep indefinitely.
+const MAX_RETENTION_DAYS = 3650;
+
+// [{ name, description, examples, keywords, suggestions, contact_form }] with names unique,
+// normalized, or null when the list is invalid.
+function normalizeIntents(value) {
+  if (!Array.isArray(value) || value.length < 1 || value.length > 25) return null;
+  const strings = (list, max, length) => list == null || (Array.isArray(list) && list.length <= max
+    && list.every(item => typeof item === 'string' && item.trim() && item.length <= length));
+  const intents = [];
+  for (const intent of value) {
+    const name = String(intent?.name ?? '').trim().toLowerCase();
+    if (!/^[a-z0-9][a-z0-9_]{0,29}$/.test(name) || intents.some(other => other.name === name)) return null;
+    if (intent.description != null && (typeof intent.description !== 'string' || intent.description.length > 200)) return null;
+    if (!strings(intent.examples, 10, 200) || !strings(intent.keywords, 20, 40)) return null;
+    if (!strings(intent.suggestions, 4, 60)) return null;
+    if (intent.contact_form != null && typeof intent.contact_form !== 'boolean') return null;
+    intents.push({
+      name,
+      description: intent.description?.trim() || '',
+      examples: (intent.examples || []).map(example => example.trim()),
+      keywords: (intent.keywords || []).map(keyword => keyword.trim().toLowerCase()),
+      suggestions: (intent.suggestions || []).map(suggestion => suggestion.trim()),
+      contact_form: Boolean(intent.contact_form)
+    });
+  }
+  return intents;
+}
+
+// { enabled, slot_minutes, min_notice_minutes, max_days_ahead, resources: [{ id, name, description,
+// capacity, duration_minutes, hours }] } with defaults filled in, or null when invalid.
+// Resources without hours of their own follow the business's opening hours.
+function normalizeBooking(value) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) return null;
+  const integer = (number, min, max, fallback) => number == null ? fallback
+    : Number.isInteger(number) && number >= min && number <= max ? number : NaN;
+  const slotMinutes = integer(value.slot_minutes, 5, 240, BOOKING_DEFAULTS.slot_minutes);
+  const minNotice = integer(value.min_notice_minutes, 0, 10080, BOOKING_DEFAULTS.min_notice_minutes);
+  const maxDays = integer(value.max_days_ahead, 1, 365, BOOKING_DEFAULTS.max_days_ahead);
+  if ([slotMinutes, minNotice, maxDays].some(Number.isNaN)) return null;
+  if (value.enabled != null && typeof value.enabled !== 'boolean') return null;
+  if (!Array.isArray(value.resources) || value.resources.length > 20) return null;
+  const resources = [];
+  for (const resource of value.resources) {
+    const id = String(resource?.id ?? '').trim().toLowerCase();
+    if (!/^[a-z0-9][a-z0-9_-]{0,39}$/.test(id) || resources.some(other => other.id === id)) return null;
+    const name = typeof resource.name === 'string' ? resource.name.trim() : '';
+    if (!name || name.length > 80) return null;
+    if (resource.description != null && (typeof resource.description !== 'string' || resource.description.length > 200)) return null;
+    const capacity = integer(resource.capacity, 1, 100, 1);
+    const duration = integer(resource.duration_minutes, slotMinutes, 1440, slotMinutes);
+    if (Number.isNaN(capacity) || Number.isNaN(duration) || duration % slotMinutes) return null;
+    const hours = resource.hours == null ? null : normalizeWeeklyHours(resource.hours);
+    if (resource.hours != null && !hours) return null;
+    resources.push({ id, name, description: resource.description?.trim() || '', capacity, duration_minutes: duration, ...(hours ? { hours } : {}) });
+  }
+  return { enabled: Boolean(value.enabled), slot_minutes: slotMinutes, min_notice_minutes: minNotice, max_days_ahead: maxDays, resources };
+}
+
+// Retention settings given when a business is created get the same checks
+// as later edits through validateBusinessUpdate.
+function retentionErrors(businessData) {
+  const settings = Object.fromEntries(RETENTION_FIELDS
+    .filter(field => businessData[field] !== undefined)
+    .map(field => [field, businessData[field]]));
+  return validateBusinessUpdate(settings).errors;
+}
+
+function validateBusinessUpdate(body) {
+  const updates = {};
+  const errors = [];
+  for (const [field, value] of Object.entries(body || {})) {
+    const type = EDITABLE_BUSINESS_FIELDS[field];
+    if (!type) {
+      errors.push(`${field} cannot be edited`);
+    } else if (type === 'days') {
+      if (value === null || (Number.isInteger(value) && value >= 1 && value <= MAX_RETENTION_DAYS)) {
+        updates[field] = value;
+      } else {
+        errors.push(`${field} must be a whole number of days between 1 and ${MAX_RETENTION_DAYS}, or null to keep indefinitely`);
+      }
+    } else if (type === 'weights') {
+      // { vector, keyword, contact }: how much each retrieval signal counts; 0 turns one off
+      const valid = value === null || (typeof value === 'object' && !Array.isArray(value)
+        && Object.entries(value).every(([signal, weight]) => Object.hasOwn(DEFAULT_RETRIEVAL_WEIGHTS, signal)
+          && typeof weight === 'number' && weight >= 0 && weight <= 10));
+      if (valid) updates[field] = value;
+      else errors.push(`${field} must map ${Object.keys(DEFAULT_RETRIEVAL_WEIGHTS).join(', ')} to numbers between 0 and 10`);
+    } else if (type === 'language') {
+      if (value === null || value === '' || Object.hasOwn(LANGUAGE_NAMES, value)) {
+        updates[field] = value || null;
+      } else {
+        errors.push(`${field} must be one of: ${Object.keys(LANGUAGE_NAMES).join(', ')}`);
+      }
+    } else if (type === 'languages') {
+      if (value === null || (Array.isArray(value) && value.length > 0 && value.every(code => Object.hasOwn(LANGUAGE_NAMES, code)))) {
+        updates[field] = value && [...new Set(value)];
+      } else {
+        errors.push(`${field} must be a non-empty list of language codes (${Object.keys(LANGUAGE_NAMES).join(', ')}), or null for any`);
+      }
+    } else if (type === 'topics') {
+      const topics = Array.isArray(value) ? value.map(topic => String(topic).trim()).filter(Boolean) : null;
+      if (value === null || (topics && topics.length <= 20 && topics.every(topic => topic.length <= 80))) {
+        updates[field] = topics?.length ? topics : null;
+      } else {
+        errors.push(`${field} must be a list of up to 20 topics of at most 80 characters, or null`);
+      }
+    } else if (type === 'temperature' || type === 'tokens') {
+      const [min, max] = GENERATION_LIMITS[field];
+      const valid = typeof value === 'number' && value >= min && value <= max && (type !== 'tokens' || Number.isInteger(value));
+      if (value === null || valid) {
+        updates[field] = value;
+      } else {
+        errors.push(`${field} must be ${type === 'tokens' ? 'a whole number' : 'a number'} between ${min} and ${max}, or null for the default`);
+      }
+    } else if (type === 'intents') {
+      const intents = value === null ? null : normalizeIntents(value);
+      if (value === null || intents) {
+        updates[field] = intents;
+      } else {
+        errors.push(`${field} must be a list of 1 to 25 intents, each { name (lowercase letters, numbers, _), description (up to 200 characters), examples (up to 10), keywords (up to 20), suggestions (up to 4, 60 characters each), contact_form (true/false) }, with unique names; or null for the defaults`);
+      }
+    } else if (type === 'booking') {
+      const booking = value === null ? null : normalizeBooking(value);
+      if (value === null || booking) {
+        updates[field] = booking;
+      } else {
+        errors.push(`${field} must be { enabled, slot_minutes (5-240), min_notice_minutes, max_days_ahead (1-365), resources } with up to 20 resources, each { id (lowercase letters, numbers, - or _), name, description, capacity (1-100), duration_minutes (a multiple of slot_minutes), hours ({ mon: ["09:00-17:00"], ... }; default: the opening hours) }; or null`);
+      }
+    } else if (type === 'opening_hours') {
+      const openingHours = value === null ? null : normalizeOpeningHours(value);
+      if (value === null || openingHours) {
+        updates[field] = openingHours;
+      } else {
+        errors.push(`${field} must be { weekly: { mon: ["09:00-17:00"], ... }, exceptions: [{ date (YYYY-MM-DD), note (up to 80 characters), hours (empty or missing: closed) }] } with up to 100 exceptions on distinct dates; or null`);
+      }
+    } else if (type === 'suggestions') {
+      const suggestions = Array.isArray(value) ? value.map(suggestion => String(suggestion).trim()).filter(Boolean) : null;
+      if (value === null || (suggestions && suggestions.length <= 6 && suggestions.every(suggestion => suggestion.length <= 60))) {
+        updates[field] = suggestions?.length ? suggestions : null;
+      } else {
+        errors.push(`${field} must be a list of up to 6 suggestions of at most 60 characters, or null for the defaults`);
+      }
+    } else if (type === 'fraction') {
+      if (value === null || (typeof value === 'number' && value >= 0 && value <= 1)) {
+        updates[field] = value;
+      } else {
+        errors.push(`${field} must be a number between 0 and 1, or null`);
+      }
+    } else if (type === 'stages' && value === null) {
+      updates[field] = null;
+    } else if (type === 'stages') {
+      const stages = Array.isArray(value) ? value.map(stage => String(stage).trim().toLowerCase()) : null;
+      if (!stages || stages.length < 2 || stages.length > 12 || new Set(stages).size !== stages.length
+        || !stages.every(stage => /^[a-z0-9][a-z0-9 _-]{0,29}$/.test(stage))) {
+        errors.push(`${field} must be a list of 2 to 12 distinct stage names (letters, numbers, spaces, - or _)`);
+      } else {
+        updates[field] = stages;
+      }
+    } else if (typeof value !== type) {
+      errors.push(`${field} must be a ${type}`);
+    } else {
+      updates[field] = type === 'string' ? value.trim() : value;
+    }
+  }
+  if ('name' in updates && !updates.name) {
+    errors.push('name cannot be empty');
+  }
+  if ('slug' in updates && !/^[a-z0-9]+(?:-[a-z0-9]+)*$/.test(updates.slug)) {
+    errors.push('slug may only contain lowercase letters, numbers and dashes');
+  }
+  for (const field of ['primary_color', 'secondary_color']) {
+    if (field in updates && !/^#[0-9a-f]{6}$/i.test(updates[field])) {
+      errors.push(`${field} must be a hex color like #6a5cff`);
+    }
+  }
+  if (updates.email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(updates.email)) {
+    errors.push('email is not a valid address');
+  }
+  for (const field of ['website', 'maps_url', 'logo_url']) {
+    if (updates[field] && !/^https?:\/\//i.test(updates[field])) {
+      errors.push(`${field} must start with http:// or https://`);
+    }
+  }
+  for (const [field, limit] of Object.entries(PROMPT_TEXT_LIMITS)) {
+    if (updates[field]?.length > limit) {
+      errors.push(`${field} must be at most ${limit} characters`);
+    }
+  }
+  if (updates.guard_message?.length > 500) {
+    errors.push('guard_message must be at most 500 characters');
+  }
+  if (updates.intent_classifier && !INTENT_CLASSIFIERS.includes(updates.intent_classifier)) {
+    errors.push(`intent_classifier must be one of: ${INTENT_CLASSIFIERS.join(', ')} (or empty for embeddings)`);
+  }
+  if (updates.answer_length && !Object.hasOwn(ANSWER_LENGTHS, updates.answer_length)) {
+    errors.push(`answer_length must be one of: ${Object.keys(ANSWER_LENGTHS).join(', ')} (or empty for the default)`);
+  }
+  if (updates.response_format && !Object.hasOwn(RESPONSE_FORMATS, updates.response_format)) {
+    errors.push(`response_format must be one of: ${Object.keys(RESPONSE_FORMATS).join(', ')} (or empty for the default)`);
+  }
+  if (updates.llm_provider && !LLM_PROVIDERS.includes(updates.llm_provider)) {
+    errors.push(`llm_provider must be one of: ${LLM_PROVIDERS.join(', ')} (or empty for the default)`);
+  }
+  if ('timezone' in updates) {
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: updates.timezone });
+    } catch {
+      errors.push('timezone must be an IANA time zone such as Asia/Kolkata');
+    }
+  }
+  return { updates, errors };
+}
+
+function withoutSecrets(business) {
+  const { api_key, ...rest } = business;
+  return rest;
+}
+
+// Admin: Load a business profile for editing
+app.get('/admin/business/:businessId', verifyBusinessApiKey, (req, res) => {
+  res.json({ business: withoutSecrets(req.business) });
+});
+
+// Admin: Partially update a business profile
+app.patch('/admin/business/:businessId', verifyBusinessApiKey, async (req, res) => {
+  try {
+    const { updates, errors } = validateBusinessUpdate(req.body);
+    if (errors.length) {
+      return res.status(400).json({ error: errors.join('; '), errors });
+    }
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({ error: 'No fields to update' });
+    }
+    if (updates.slug && updates.slug !== req.business.slug) {
+      const existing = await getBusinessBySlug(updates.slug);
+      if (existing && existing.id !== req.business.id) {
+        return res.status(409).json({ error: 'Business slug already exists' });
+      }
+    }
+    const warnings = [];
+    if ('hours' in updates && !('opening_hours' in updates) && updates.hours !== (req.business.hours || '')) {
+      const kept = req.business.opening_hours;
+      if (!updates.hours) {
+        // No text left to read a schedule from
+        updates.opening_hours = null;
+        if (kept?.exceptions?.length) warnings.push('Hours were cleared, so the opening_hours schedule and its special days were removed too');
+      } else {
+        // Re-read the weekly schedule from the new text, keeping special days.
+        // Text that can't be read in full leaves the schedule as it was
+        // instead of turning the days it couldn't read into closed days.
+        const parsed = parseHoursText(updates.hours);
+        if (parsed && !parsed.unparsed.length) {
+          updates.opening_hours = { weekly: parsed.weekly, exceptions: kept?.exceptions || [] };
+        } else {
+          const problem = parsed ? `Some hours could not be read (${parsed.unparsed.join('; ')})` : 'Hours could not be read as a weekly schedule';
+          warnings.push(`${problem}: ${kept ? 'opening_hours were left unchanged, so update them to match' : 'set opening_hours so the bot can tell when you are open'}`);
+        }
+      }
+    }
+    const business = await updateBusiness(req.business.id, updates);
+    if (['llm_provider', 'embedding_model'].some(field => field in updates && updates[field] !== (req.business[field] || ''))) {
+      warnings.push('Embedding settings changed: re-index existing documents so search keeps working');
+    }
+    res.json({ success: true, business: withoutSecrets(business), ...(warnings.length ? { warnings } : {}) });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to update business' });
+  }
+});
+
+// Admin: Offboard a business, erasing all of its data. `?dryRun=true` returns
+// the report without deleting; a real run must repeat the slug in `?confirm=`.
+app.delete('/admin/business/:businessId', verifyBusinessApiKey, async (req, res) => {
+  try {
+    const dryRun = ['1', 'true'].includes(String(req.query.dryRun ?? req.query.dry_run).toLowerCase());
+    if (!dryRun && req.query.confirm !== req.business.slug) {
+      return res.status(400).json({ error: 'Pass ?confirm=<business slug> to delete, or ?dryRun=true to preview' });
+    }
+    const report = await deleteBusinessData(req.business.id, { dryRun });
+    if (!dryRun) aiSystem.invalidateChunkIndex(req.business.id);
+    console.log(`🗑️ ${dryRun ? 'Dry-run erasure' : 'Erased'} business ${report.slug} (${report.businessId}): ${report.total} item(s)`);
+    res.json({ success: true, report });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to delete business' });
+  }
+});
+
+// Admin: Questions the bot couldn't answer confidently (?days=, pagination),
+// pointing at knowledge worth adding.
+app.get('/admin/business/:businessId/low-confidence', verifyBusinessApiKey, async (req, res) => {
+  try {
+    const days = parseInt(req.query.days, 10);
+    const page = await listLowConfidenceQuestions(req.business.id, {
+      since: days > 0 ? new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString() : null,
+      ...parsePagination(req.query),
+    });
+    res.json({ questions: page.items, cursor: page.cursor, threshold: req.business.confidence_threshold ?? null });
+  } catch (error) {
+    if (error.status === 400) return res.status(400).json({ error: error.message });
+    res.status(500).json({ error: 'Failed to fetch low-confidence questions' });
+  }
+});
+
+// Admin: Lead pipeline. Filters: ?status=&assigned_to=&due=true (follow-up due
+// today or earlier in the business's time zone) or ?follow_up_before=<date>,
+// plus ?days= and pagination. Follow-up dates are YYYY-MM-DD, so they compare
+// as strings.
+app.get('/admin/business/:businessId/leads', verifyBusinessApiKey, async (req, res) => {
+  try {
+    const { status, assigned_to, due, follow_up_before } = req.query;
+    if (follow_up_before && !isDate(follow_up_before)) {
+      return res.status(400).json({ error: 'follow_up_before must be a date such as 2025-01-31' });
+    }
+    const days = parseInt(req.query.days, 10);
+    const page = await listBusinessLeads(req.business.id, {
+      since: days > 0 ? new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString() : null,
+      status: status || null,
+      assignedTo: typeof assigned_to === 'string' ? assigned_to : null,
+      followUpBefore: ['1', 'true'].includes(due) ? zonedParts(new Date(), req.business.timezone || 'UTC').date : (follow_up_before || null),
+      ...parsePagination(req.query),
+    });
+    res.json({ leads: page.items, cursor: page.cursor, pipeline: getLeadPipeline(req.business) });
+  } catch (error) {
+    if (error.status === 400) return res.status(400).json({ error: error.message });
+    res.status(500).json({ error: 'Failed to fetch leads' });
+  }
+});
+
+// A lead with its chat session and full transcript
+app.get('/admin/business/:businessId/leads/:leadId', verifyBusinessApiKey, async (req, res) => {
+  try {
+    const lead = await getLead(req.business.id, req.params.leadId);
+    if (!lead) {
+      return res.status(404).json({ error: 'Lead not found' });
+    }
+    const session = lead.session_id ? await getSession(lead.session_id, req.business.id) : null;
+    const transcript = session ? await getSessionTranscript(session.id) : [];
+    res.json({ lead, session: session || null, transcript, pipeline: getLeadPipeline(req.business) });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to fetch lead' });
+  }
+});
+
+// Move a lead: { status, assigned_to, follow_up_date, note, author }
+app.patch('/admin/business/:businessId/leads/:leadId', verifyBusinessApiKey, async (req, res) => {
+  try {
+    const { status, assigned_to, follow_up_date, note, author } = req.body || {};
+    const updates = {};
+    const errors = [];
+    if (status !== undefined) {
+      const pipeline = getLeadPipeline(req.business);
+      if (!pipeline.includes(status)) errors.push(`status must be one of: ${pipeline.join(', ')}`);
+      else updates.status = status;
+    }
+    if (assigned_to !== undefined) {
+      if (typeof assigned_to !== 'string') errors.push('assigned_to must be a string');
+      else updates.assigned_to = assigned_to.trim();
+    }
+    if (follow_up_date !== undefined) {
+      if (follow_up_date === null || follow_up_date === '') updates.follow_up_date = null;
+      else if (!isDate(follow_up_date)) errors.push('follow_up_date must be a date such as 2025-01-31, or null');
+      else updates.follow_up_date = follow_up_date;
+    }
+    if (note !== undefined && typeof note !== 'string') {
+      errors.push('note must be a string');
+    }
+    if (errors.length) {
+      return res.status(400).json({ error: errors.join('; '), errors });
+    }
+    if (Object.keys(updates).length === 0 && !note?.trim()) {
+      return res.status(400).json({ error: 'Nothing to update' });
+    }
+    const lead = await updateLead(req.business.id, req.params.leadId, updates, {
+      note: note?.trim() || '',
+      author: typeof author === 'string' ? author.trim() : '',
+    });
+    res.json({ success: true, lead });
+  } catch (error) {
+    if (error.message === 'Lead not found') return res.status(404).json({ error: error.message });
+    res.status(500).json({ error: 'Failed to update lead' });
+  }
+});
+
+// Admin: Live handoff inbox. Agents identify themselves by name; an agent is
+// online while their inbox event stream is open.
+function agentName(value) {
+  return typeof value === 'string' && value.trim() && value.trim().length <= 100 ? value.trim() : null;
+}
+
+// Conversations waiting for or talking to an agent, and who is online
+app.get('/admin/business/:businessId/inbox', verifyBusinessApiKey, async (req, res) => {
+  try {
+    res.json({ queue: await listHandoffQueue(req.business.id), agentsOnline: handoffHub.agentsOnline(req.business.id) });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to fetch inbox' });
+  }
+});
+
+// When the last agent closes their inbox, waiting visitors are handed back to
+// the bot, unless an agent is back within HANDOFF_GRACE_MS (a reload or a
+// dropped connection).
+const HANDOFF_GRACE_MS = 60000;
+
+async function expireWaitingHandoffs(businessId) {
+  try {
+    if (handoffHub.agentsOnline(businessId).length) return;
+    for (const { id, status } of await listHandoffQueue(businessId)) {
+      if (status === 'waiting') await expireHandoff(businessId, id);
+    }
+  } catch (error) {
+    console.error('❌ Error expiring handoff requests:', error.message);
+  }
+}
+
+// Server-Sent Events for an agent's inbox (?agent=):
+//   event: queue     data: { sessionId, status }   a conversation joined, changed or left the queue
+//   event: message   data: { sessionId, role, content, agent_name, timestamp }
+//   event: presence  data: { agentsOnline }
+app.get('/admin/business/:businessId/inbox/events', verifyBusinessApiKey, (req, res) => {
+  const agent = agentName(req.query.agent);
+  if (!agent) {
+    return res.status(400).json({ error: 'agent is required (up to 100 characters)' });
+  }
+  const businessId = req.business.id;
+  const announce = () => handoffHub.publishToInbox(businessId, 'presence', { agentsOnline: handoffHub.agentsOnline(businessId) });
+  holdEventStream(res, send => handoffHub.subscribeInbox(businessId, agent, send), () => {
+    announce();
+    if (!handoffHub.agentsOnline(businessId).length) {
+      setTimeout(() => expireWaitingHandoffs(businessId), HANDOFF_GRACE_MS).unref();
+    }
+  });
+  announce();
+});
+
+// A conversation with its full transcript
+app.get('/admin/business/:businessId/inbox/:sessionId', verifyBusinessApiKey, async (req, res) => {
+  try {
+    const session = await getSession(req.params.sessionId, req.business.id);
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    res.json({ session, transcript: await getSessionTranscript(session.id) });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to fetch conversation' });
+  }
+});
+
+// Take over a conversation: { agent }. Works on waiting sessions and on any
+// conversation still with the bot; the bot stays quiet until it is handed back.
+app.post('/admin/business/:businessId/inbox/:sessionId/take', verifyBusinessApiKey, async (req, res) => {
+  try {
+    const agent = agentName(req.body?.agent);
+    if (!agent) {
+      return res.status(400).json({ error: 'agent is required (up to 100 characters)' });
+    }
+    const session = await getSession(req.params.sessionId, req.business.id);
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    if (session.handoff_status === 'active') {
+      if (session.agent_name === agent) return res.json({ success: true });
+      return res.status(409).json({ error: `${session.agent_name} is already handling this conversation` });
+    }
+    if (!await claimHandoff(req.business.id, session.id, agent, session.handoff_status || null)) {
+      return res.status(409).json({ error: 'The conversation changed; reload and try again' });
+    }
+    console.log(`🙋 ${agent} took over session ${session.id}`);
+    handoffHub.publishToSession(session.id, 'handoff', { status: 'active', agent });
+    handoffHub.publishToInbox(req.business.id, 'queue', { sessionId: session.id, status: 'active' });
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to take over conversation' });
+  }
+});
+
+// Reply as the agent handling the conversation: { agent, content }
+app.post('/admin/business/:businessId/inbox/:sessionId/messages', verifyBusinessApiKey, async (req, res) => {
+  try {
+    const agent = agentName(req.body?.agent);
+    const content = typeof req.body?.content === 'string' ? req.body.content.trim() : '';
+    if (!agent || !content) {
+      return res.status(400).json({ error: 'agent and content are required' });
+    }
+    if (content.length > 4000) {
+      return res.status(400).json({ error: 'content must be at most 4000 characters' });
+    }
+    const session = await getSession(req.params.sessionId, req.business.id);
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    if (session.handoff_status !== 'active' || session.agent_name !== agent) {
+      return res.status(409).json({ error: 'Take over the conversation before replying' });
+    }
+    await saveMessage(session.id, req.business.id, 'agent', content, '', 'neutral', 0, [], { agentName: agent });
+    const message = { role: 'agent', content, agent_name: agent, timestamp: new Date().toISOString() };
+    handoffHub.publishToSession(session.id, 'message', message);
+    handoffHub.publishToInbox(req.business.id, 'message', { sessionId: session.id, ...message });
+    res.json({ success: true, message });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to send message' });
+  }
+});
+
+// Hand the conversation back to the bot, or dismiss a waiting request
+app.post('/admin/business/:businessId/inbox/:sessionId/release', verifyBusinessApiKey, async (req, res) => {
+  try {
+    const session = await getSession(req.params.sessionId, req.business.id);
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    if (!session.handoff_status) {
+      return res.status(409).json({ error: 'The conversation is already with the bot' });
+    }
+    if (!await releaseHandoff(req.business.id, session.id, session.handoff_status)) {
+      return res.status(409).json({ error: 'The conversation changed; reload and try again' });
+    }
+    console.log(`🤖 Session ${session.id} handed back to the bot`);
+    handoffHub.publishToSession(session.id, 'handoff', { status: 'bot' });
+    handoffHub.publishToInbox(req.business.id, 'queue', { sessionId: session.id, status: null });
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to hand conversation back' });
+  }
+});
+
+// Admin: Bookings made through the chat, in time order. Filters: ?from= and
+// ?to= (dates in the business's time zone; from defaults to today), ?status=
+// and ?resource=, plus pagination.
+app.get('/admin/business/:businessId/bookings', verifyBusinessApiKey, async (req, res) => {
+  try {
+    const timezone = req.business.timezone || 'UTC';
+    const { from, to, status, resource } = req.query;
+    const errors = [];
+    if (from && !isDate(from)) errors.push('from must be a date such as 2025-01-31');
+    if (to && !isDate(to)) errors.push('to must be a date such as 2025-01-31');
+    if (status && !BOOKING_STATUSES.includes(status)) errors.push(`status must be one of: ${BOOKING_STATUSES.join(', ')}`);
+    if (errors.length) {
+      return res.status(400).json({ error: errors.join('; ') });
+    }
+    const page = await listBusinessBookings(req.business.id, {
+      from: zonedTimeToUtc(from || zonedParts(new Date(), timezone).date, '00:00', timezone).toISOString(),
+      to: to ? zonedTimeToUtc(addDays(to, 1), '00:00', timezone).toISOString() : null,
+      status: status || null,
+      resourceId: resource || null,
+      ...parsePagination(req.query),
+    });
+    res.json({
+      bookings: page.items,
+      cursor: page.cursor,
+      resources: (req.business.booking?.resources || []).map(({ id, name }) => ({ id, name })),
+      timezone,
+    });
+  } catch (error) {
+    if (error.status === 400) return res.status(400).json({ error: error.message });
+    res.status(500).json({ error: 'Failed to fetch bookings' });
+  }
+});
+
+// Free start times of a resource on a date (?resource=&date=), as the chat sees them
+app.get('/admin/business/:businessId/bookings/availability', verifyBusinessApiKey, async (req, res) => {
+  try {
+    const config = bookingConfig(req.business);
+    if (!config) {
+      return res.status(400).json({ error: 'Bookings are not enabled for this business' });
+    }
+    const resource = findResource(config, req.query.resource);
+    if (!resource) {
+      return res.status(404).json({ error: 'Resource not found' });
+    }
+    const { date } = req.query;
+    if (!isDate(date)) {
+      return res.status(400).json({ error: 'date must be a date such as 2025-01-31' });
+    }
+    const times = availableTimes(config, resource, date, await getBookingSlotCounts(req.business.id, resource.id, date));
+    res.json({ resource: resource.id, date, timezone: config.timezone, times });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to check availability' });
+  }
+});
+
+// Cancel a booking and free its time: { by }
+app.post('/admin/business/:businessId/bookings/:bookingId/cancel', verifyBusinessApiKey, async (req, res) => {
+  try {
+    const by = typeof req.body?.by === 'string' ? req.body.by.trim().slice(0, 100) : '';
+    if (!await cancelBooking(req.business.id, req.params.bookingId, by)) {
+      return res.status(409).json({ error: 'The booking is already cancelled' });
+    }
+    console.log(`📅 Cancelled booking ${req.params.bookingId}${by ? ` (${by})` : ''}`);
+    res.json({ success: true, booking: await getBooking(req.business.id, req.params.bookingId) });
+  } catch (error) {
+    if (error.message === 'Booking not found') return res.status(404).json({ error: error.message });
+    res.status(500).json({ error: 'Failed to cancel booking' });
+  }
+});
+
+// Admin: Document management for an existing business
+app.get('/admin/business/:businessId/documents', verifyBusinessApiKey, async (req, res) => {
+  try {
+    const page = await listBusinessDocuments(req.business.id, parsePagination(req.query));
+    // Full extracted text can be large; list views only need the metadata.
+    const documents = page.items.map(({ content, ...doc }) => doc);
+    res.json({ documents, cursor: page.cursor });
+  } catch (error) {
+    if (error.status === 400) return res.status(400).json({ error: error.message });
+    res.status(500).json({ error: 'Failed to fetch documents' });
+  }
+});
+
+app.post('/admin/business/:businessId/documents', verifyBusinessApiKey, upload.array('files', 10), async (req, res) => {
+  try {
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({ error: 'No files uploaded' });
+    }
+    const results = [];
+    for (const file of req.files) {
+      results.push(await ingestFile(req.business.id, file));
+    }
+    res.json({
+      success: true,
+      upload: {
+        filesProcessed: results.filter(r => r.status === 'success').length,
+        totalFiles: results.length,
+        totalChunks: results.reduce((sum, r) => sum + (r.chunks || 0), 0),
+        results,
+      },
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to process files' });
+  }
+});
+
+app.delete('/admin/business/:businessId/documents/:documentId', verifyBusinessApiKey, async (req, res) => {
+  try {
+    const document = await getDocument(req.business.id, req.params.documentId);
+    if (!document) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+    const removed = await deleteDocument(req.business.id, document.id);
+    aiSystem.invalidateChunkIndex(req.business.id);
+    res.json({ success: true, ...removed });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to delete document' });
+  }
+});
+
+// Rebuild a document's chunks and embeddings from its stored text, e.g. after
+// the chunker or embedding model changes. Chunks past the new end are pruned.
+app.post('/admin/business/:businessId/documents/:documentId/reindex', verifyBusinessApiKey, async (req, res) => {
+  try {
+    const document = await getDocument(req.business.id, req.params.documentId);
+    if (!document) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+    if (!document.content) {
+      return res.status(422).json({ error: 'Document has no stored text to re-index' });
+    }
+    const indexed = await indexDocumentChunks(
+      req.business.id, document.id, document.content, document.category, document.original_name
+    );
+    const chunksPruned = await deleteDocumentChunks(req.business.id, document.id, { fromIndex: indexed.processedChunks });
+    aiSystem.invalidateChunkIndex(req.business.id);
+    if (indexed.failedChunks.length) {
+      return res.status(502).json({
+        success: false,
+        error: `${indexed.failedChunks.length} of ${indexed.processedChunks} chunks could not be embedded (earlier versions of them are kept); re-index again to retry`,
+        documentId: document.id,
+        ...indexed,
+        chunksPruned
+      });
+    }
+    res.json({ success: true, documentId: document.id, ...indexed, chunksPruned });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to re-index document' });
+  }
+});
+
+// Replace a document with a new version. The new document and its chunks are
+// stored first; the old one is only removed once the replacement has chunks,
+// so the knowledge base never goes empty in between.
+app.put('/admin/business/:businessId/documents/:documentId', verifyBusinessApiKey, upload.single('file'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'No file uploaded' });
+    }
+    const existing = await getDocument(req.business.id, req.params.documentId);
+    if (!existing) {
+      await fs.unlink(req.file.path).catch(() => {});
+      return res.status(404).json({ error: 'Document not found' });
+    }
+    const result = await ingestFile(req.business.id, req.file);
+    if (result.status !== 'success' || result.chunks === 0) {
+      if (result.documentId) {
+        await deleteDocument(req.business.id, result.documentId);
+        aiSystem.invalidateChunkIndex(req.business.id);
+      }
+      return res.status(422).json({ error: 'Replacement could not be processed; the existing document was kept', result });
+    }
+    await updateDocument(req.business.id, result.documentId, {
+      replaces: existing.id,
+      version: (existing.version || 1) + 1,
+    });
+    const removed = await deleteDocument(req.business.id, existing.id);
+    aiSystem.invalidateChunkIndex(req.business.id);
+    res.json({ success: true, document: result, replaced: removed });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to replace document' });
+  }
+});
+
 // Multer error handler and general error handler
 app.use((error, req, res, next) => {
   if (error instanceof multer.MulterError) {
@@ -1372,19 +2600,64 @@ app.use((error, req, res, next) => {
   res.status(500).json({ error: 'Internal server error' });
 });
 
+// Retention sweeper: enforce each business's retention settings in the
+// background. RETENTION_SWEEP_MINUTES=0 disables it (e.g. when the sweep runs
+// from cron via `npm run retention` instead). Anything that isn't a whole
+// number of minutes keeps the default rather than quietly turning it off.
+const RETENTION_SWEEP_MINUTES = (() => {
+  const value = process.env.RETENTION_SWEEP_MINUTES ?? '60';
+  if (/^\s*\d+\s*$/.test(value)) return Number(value);
+  console.warn(`⚠️ RETENTION_SWEEP_MINUTES must be a whole number of minutes (0 to disable), not "${value}"; sweeping every 60 minutes`);
+  return 60;
+})();
+
+async function runRetentionSweep() {
+  try {
+    const results = await sweepRetention();
+    for (const r of results) {
+      const total = r.messagesDeleted + r.sessionsDeleted + r.sessionsAnonymized + r.leadsDeleted + r.bookingsDeleted;
+      if (total > 0) {
+        console.log(`🧹 Retention ${r.slug}: ${r.messagesDeleted} messages, ${r.sessionsDeleted} sessions deleted, ${r.sessionsAnonymized} sessions anonymized, ${r.leadsDeleted} leads, ${r.bookingsDeleted} bookings deleted`);
+      }
+    }
+  } catch (error) {
+    console.error('❌ Retention sweep failed:', error.message);
+  }
+}
+
+// The default provider must be usable before accepting traffic: a missing
+// API key or base URL is a deployment error, not something to discover per chat.
+try {
+  await aiSystem.getProvider();
+} catch (error) {
+  console.error(`❌ LLM provider "${aiSystem.providerName}" is not configured: ${error.message}. Set LLM_PROVIDER=mock for offline use.`);
+  process.exit(1);
+}
+
 // Start server
 const server = app.listen(PORT, '0.0.0.0', () => {
   console.log(`\n🚀 Enhanced Business Chatbot System running on http://0.0.0.0:${PORT}`);
   console.log(`📊 Admin Dashboard: http://0.0.0.0:${PORT}/admin`);
   console.log(`⚡ Quick Setup: http://0.0.0.0:${PORT}/admin/onboard.html`);
   console.log(`🏥 Health Check: http://0.0.0.0:${PORT}/health`);
-  console.log(`🧪 OpenAI Test: http://0.0.0.0:${PORT}/debug/test-openai`);
-  console.log(`🗃️ DynamoDB Test: http://0.0.0.0:${PORT}/debug/test-dynamodb`);
+  console.log(`🧪 LLM Test (${aiSystem.providerName}): http://0.0.0.0:${PORT}/debug/test-openai`);
+  console.log(`🗃️ Storage Test (${getStorageBackend()}): http://0.0.0.0:${PORT}/debug/test-dynamodb`);
   console.log(`\n✨ New Features:`);
   console.log(`   🔐 Hash-based secure URLs`);
   console.log(`   📊 Separate analytics endpoints`);
   console.log(`   📄 Parallel chunk processing (TIMEOUT FIXED)`);
   console.log(`   🎨 Enhanced UI with Horizon design`);
+  checkSchema()
+    .then(({ backend, version, latest, upToDate }) => {
+      if (!upToDate) {
+        console.warn(`\n⚠️ ${backend} schema is at version ${version} but this build expects ${latest}. Run "npm run migrate".`);
+      }
+    })
+    .catch(error => console.warn('⚠️ Could not check schema version:', error.message));
+  if (RETENTION_SWEEP_MINUTES > 0) {
+    runRetentionSweep();
+    setInterval(runRetentionSweep, RETENTION_SWEEP_MINUTES * 60 * 1000).unref();
+  }
 });
 
 // Graceful shutdown
@@ -0,0 +1,23 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.STORAGE_BACKEND = 'sqlite';
+process.env.SQLITE_PATH = ':memory:';
+const { createBusiness, createSession, saveMessage, getBusinessAnalytics } = await import('../lib/database.mjs');
+
+test('analytics totals come from sessions and breakdowns from their messages', async () => {
+  const { id } = await createBusiness({ name: 'Acme', slug: 'acme-analytics' });
+  for (const sentiment of ['positive', 'negative']) {
+    const sessionId = await createSession(id);
+    await saveMessage(sessionId, id, 'user', 'how much is it?', 'pricing', sentiment);
+    await saveMessage(sessionId, id, 'assistant', 'It is $10.');
+  }
+  const analytics = await getBusinessAnalytics(id, 7, 'UTC');
+  assert.equal(analytics.totalSessions, 2);
+  assert.equal(analytics.totalMessages, 4);
+  assert.equal(analytics.sampledSessions, 2);
+  assert.deepEqual(analytics.topIntents, [{ intent: 'pricing', count: 2 }]);
+  assert.deepEqual(analytics.sentimentBreakdown, { positive: 1, neutral: 0, negative: 1 });
+  const today = analytics.dailyStats[analytics.dailyStats.length - 1];
+  assert.deepEqual({ sessions: today.sessions, messages: today.messages }, { sessions: 2, messages: 4 });
+});
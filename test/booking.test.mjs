@@ -0,0 +1,89 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.STORAGE_BACKEND = 'sqlite';
+process.env.SQLITE_PATH = ':memory:';
+const { bookingConfig, wantsBooking, slotTimes, slotKeys, availableTimes } = await import('../lib/booking.mjs');
+const { createBusiness, createBooking, cancelBooking, getBookingSlotCounts } = await import('../lib/database.mjs');
+
+const business = {
+  timezone: 'UTC',
+  opening_hours: { weekly: { mon: ['09:00-12:00'], tue: ['09:00-12:00'] }, exceptions: [{ date: '2026-10-26', note: 'Holiday', hours: [] }] },
+  booking: {
+    enabled: true,
+    slot_minutes: 30,
+    min_notice_minutes: 60,
+    max_days_ahead: 30,
+    resources: [
+      { id: 'table', name: 'Table for four', capacity: 2, duration_minutes: 60 },
+      { id: 'room', name: 'Meeting room', capacity: 1, duration_minutes: 30, hours: { mon: ['14:00-15:00'] } }
+    ]
+  }
+};
+const config = bookingConfig(business);
+const [table, room] = config.resources;
+// Sunday 2026-10-18, noon UTC
+const now = new Date('2026-10-18T12:00:00Z');
+
+test('slots follow the opening hours unless a resource has hours of its own', () => {
+  assert.deepEqual(slotTimes(config, table, '2026-10-19'), ['09:00', '09:30', '10:00', '10:30', '11:00']);
+  assert.deepEqual(slotTimes(config, room, '2026-10-19'), ['14:00', '14:30']);
+  assert.deepEqual(slotTimes(config, table, '2026-10-21'), []);
+  // A closed day closes resources with their own hours too
+  assert.deepEqual(slotTimes(config, table, '2026-10-26'), []);
+  assert.deepEqual(slotTimes(config, room, '2026-10-26'), []);
+});
+
+test('a booking occupies every slot its duration covers', () => {
+  assert.deepEqual(slotKeys(config, table, '2026-10-19', '10:30'), ['table#2026-10-19T10:30', 'table#2026-10-19T11:00']);
+  assert.deepEqual(slotKeys(config, room, '2026-10-19', '14:00'), ['room#2026-10-19T14:00']);
+});
+
+test('available times respect capacity, notice and how far ahead bookings open', () => {
+  const counts = { 'table#2026-10-19T10:00': 2, 'table#2026-10-19T11:00': 1 };
+  assert.deepEqual(availableTimes(config, table, '2026-10-19', counts, now), ['09:00', '10:30', '11:00']);
+  assert.deepEqual(availableTimes(config, table, '2026-10-17', {}, now), []);
+  assert.deepEqual(availableTimes(config, table, '2026-12-01', {}, now), []);
+  // Within min_notice_minutes of now
+  assert.deepEqual(availableTimes(config, table, '2026-10-19', {}, new Date('2026-10-19T09:30:00Z')), ['10:30', '11:00']);
+});
+
+test('only the visitor\'s own messages make a booking conversation', () => {
+  assert.equal(wantsBooking('Can I book a table for tomorrow?'), true);
+  assert.equal(wantsBooking('7pm works, I am jo@example.com', [
+    { role: 'user', content: 'I would like to reserve a table' },
+    { role: 'assistant', content: 'What time suits you?' }
+  ]), true);
+  assert.equal(wantsBooking('Do you sell gift cards?', [
+    { role: 'user', content: 'What are your prices?' },
+    { role: 'assistant', content: 'Prices depend on availability; you can also book online.' }
+  ]), false);
+  assert.equal(wantsBooking('Is the new model available in blue?'), false);
+});
+
+test('bookings are refused once a slot is full and freed when cancelled', async () => {
+  const { id } = await createBusiness({ name: 'Acme', slug: 'acme-booking' });
+  const owner = { ...business, id };
+  const guest = { resource: room, date: '2026-10-19', time: '14:00', name: 'Jo', email: 'jo@example.com' };
+  const first = await createBooking(owner, 'session-1', guest, config);
+  assert.ok(first.reference);
+  assert.equal(await createBooking(owner, 'session-2', guest, config), null);
+  assert.deepEqual(await getBookingSlotCounts(id, 'room', '2026-10-19'), { 'room#2026-10-19T14:00': 1 });
+
+  assert.equal(await cancelBooking(id, first.id, 'test'), true);
+  assert.equal(await cancelBooking(id, first.id, 'test'), false);
+  assert.deepEqual(await getBookingSlotCounts(id, 'room', '2026-10-19'), { 'room#2026-10-19T14:00': 0 });
+  assert.ok(await createBooking(owner, 'session-2', guest, config));
+});
+
+test('a booking that only fits in part gives back the slots it claimed', async () => {
+  const { id } = await createBusiness({ name: 'Acme', slug: 'acme-booking-partial' });
+  const owner = { ...business, id };
+  const one = { resource: { ...table, capacity: 1 }, date: '2026-10-19', name: 'Jo', email: 'jo@example.com' };
+  assert.ok(await createBooking(owner, 'session-1', { ...one, time: '10:00' }, config));
+  // 09:30 covers 09:30 (free) and 10:00 (full)
+  assert.equal(await createBooking(owner, 'session-2', { ...one, time: '09:30' }, config), null);
+  const counts = await getBookingSlotCounts(id, 'table', '2026-10-19');
+  assert.equal(counts['table#2026-10-19T09:30'] || 0, 0);
+  assert.equal(counts['table#2026-10-19T10:00'], 1);
+});
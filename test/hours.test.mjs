@@ -0,0 +1,74 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseHoursText, openingHoursOf, normalizeOpeningHours, openStatus, describeWeekly, isDate } from '../lib/hours.mjs';
+
+test('free-text hours are read into a weekly schedule', () => {
+  assert.deepEqual(parseHoursText('Mon-Fri 9-5; Sat 10am-2pm\nSunday closed'), {
+    weekly: {
+      mon: ['09:00-17:00'], tue: ['09:00-17:00'], wed: ['09:00-17:00'], thu: ['09:00-17:00'], fri: ['09:00-17:00'],
+      sat: ['10:00-14:00'], sun: []
+    },
+    unparsed: []
+  });
+  assert.deepEqual(parseHoursText('24/7').weekly.wed, ['00:00-24:00']);
+  assert.equal(parseHoursText('Call us for an appointment'), null);
+});
+
+test('later ranges of a day without am/pm follow the earlier ones', () => {
+  assert.deepEqual(parseHoursText('Daily: Lunch 12-3, Dinner 7-11').weekly.mon, ['12:00-15:00', '19:00-23:00']);
+  assert.deepEqual(parseHoursText('Mon-Fri 9am-1pm, 2pm-6pm').weekly.fri, ['09:00-13:00', '14:00-18:00']);
+});
+
+test('ranges past midnight carry into the next day', () => {
+  const { weekly } = parseHoursText('Fri-Sat 6pm-2am');
+  assert.deepEqual(weekly.fri, ['18:00-24:00']);
+  assert.deepEqual(weekly.sat, ['00:00-02:00', '18:00-24:00']);
+  assert.deepEqual(weekly.sun, ['00:00-02:00']);
+});
+
+test('text read only in part yields no schedule', () => {
+  const text = 'Mon-Fri 9am-6pm\nSaturday: by appointment';
+  assert.deepEqual(parseHoursText(text).unparsed, ['Saturday: by appointment']);
+  assert.equal(openingHoursOf({ hours: text }), null);
+  assert.ok(openingHoursOf({ hours: 'Mon-Fri 9am-6pm' }));
+});
+
+test('stored opening hours win over the text', () => {
+  const stored = { weekly: { mon: ['10:00-12:00'] }, exceptions: [] };
+  assert.equal(openingHoursOf({ opening_hours: stored, hours: 'Mon-Fri 9-5' }), stored);
+});
+
+test('opening hours are validated and sorted', () => {
+  assert.deepEqual(normalizeOpeningHours({
+    weekly: { mon: ['14:00-18:00', '09:00-12:00'] },
+    exceptions: [{ date: '2026-12-31', hours: ['09:00-13:00'] }, { date: '2026-12-25', note: ' Christmas ' }]
+  }), {
+    weekly: { mon: ['09:00-12:00', '14:00-18:00'] },
+    exceptions: [
+      { date: '2026-12-25', note: 'Christmas', hours: [] },
+      { date: '2026-12-31', note: '', hours: ['09:00-13:00'] }
+    ]
+  });
+  assert.equal(normalizeOpeningHours({ weekly: { mon: ['09:00-12:00', '11:00-13:00'] } }), null);
+  assert.equal(normalizeOpeningHours({ weekly: {}, exceptions: [{ date: '2026-02-31' }] }), null);
+  assert.equal(isDate('2026-02-28'), true);
+  assert.equal(isDate('2026-02-31'), false);
+});
+
+test('open status follows the schedule and exceptions in the business time zone', () => {
+  const hours = {
+    weekly: { mon: ['09:00-17:00'], tue: ['09:00-17:00'] },
+    exceptions: [{ date: '2026-10-20', note: 'Staff day', hours: [] }]
+  };
+  // Monday 2026-10-19 10:00 in New York
+  assert.deepEqual(openStatus(hours, 'America/New_York', new Date('2026-10-19T14:00:00Z')),
+    { open: true, closes: { date: '2026-10-19', time: '17:00' } });
+  // After closing on Monday; Tuesday is an exception, so next Monday
+  assert.deepEqual(openStatus(hours, 'America/New_York', new Date('2026-10-19T22:00:00Z')),
+    { open: false, opens: { date: '2026-10-26', time: '09:00' } });
+});
+
+test('weekly schedules are described with days grouped', () => {
+  assert.equal(describeWeekly({ mon: ['09:00-17:00'], tue: ['09:00-17:00'], sat: ['00:00-24:00'] }),
+    'Mon-Tue 9:00-17:00; Wed-Fri closed; Sat open 24 hours; Sun closed');
+});
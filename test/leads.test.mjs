@@ -0,0 +1,24 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.STORAGE_BACKEND = 'sqlite';
+process.env.SQLITE_PATH = ':memory:';
+const { createBusiness, createSession, createLead, listBusinessLeads, getBusinessAnalytics } = await import('../lib/database.mjs');
+
+const pause = () => new Promise(resolve => setTimeout(resolve, 5));
+
+test('leads are listed newest first across pages', async () => {
+  const { id } = await createBusiness({ name: 'Acme', slug: 'acme-leads' });
+  const names = ['Ann', 'Bo', 'Cy', 'Di', 'Ed'];
+  for (const name of names) {
+    await createLead(id, await createSession(id), { name, email: `${name.toLowerCase()}@example.com` });
+    await pause();
+  }
+  const first = await listBusinessLeads(id, { limit: 3 });
+  const second = await listBusinessLeads(id, { limit: 3, cursor: first.cursor });
+  assert.deepEqual([...first.items, ...second.items].map(lead => lead.name), [...names].reverse());
+  assert.equal(second.cursor, null);
+
+  const analytics = await getBusinessAnalytics(id, 7, 'UTC');
+  assert.deepEqual(analytics.recentLeads.map(lead => lead.name), [...names].reverse());
+});
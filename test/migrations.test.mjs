@@ -0,0 +1,43 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { TABLES } from '../lib/storage/schema.mjs';
+import { MIGRATIONS, runMigrations } from '../lib/storage/migrations.mjs';
+
+// Records what each migration asks for instead of creating anything.
+function recordingStorage() {
+  const created = {};
+  return {
+    created,
+    async getItem() { return undefined; },
+    async putItem() {},
+    async ensureTable(table) {
+      created[table.name] ??= new Set();
+      for (const index of Object.keys(table.indexes || {})) created[table.name].add(index);
+      return [];
+    }
+  };
+}
+
+test('migrations create every table and index schema.mjs describes', async () => {
+  const storage = recordingStorage();
+  await runMigrations(storage, { log: () => {} });
+  for (const table of Object.values(TABLES)) {
+    assert.ok(storage.created[table.name], `${table.name} is never created`);
+    assert.deepEqual([...storage.created[table.name]].sort(), Object.keys(table.indexes || {}).sort(), table.name);
+  }
+});
+
+test('each migration only adds its own indexes', async () => {
+  const storage = recordingStorage();
+  await MIGRATIONS[0].up(storage);
+  assert.deepEqual(Object.fromEntries(Object.entries(storage.created).map(([name, indexes]) => [name, [...indexes]])), {
+    'BusinessChatbot-Businesses': ['SlugIndex', 'ChatHashIndex', 'AnalyticsHashIndex'],
+    'BusinessChatbot-Documents': [],
+    'BusinessChatbot-Chunks': [],
+    'BusinessChatbot-ChatSessions': [],
+    'BusinessChatbot-Messages': [],
+    'BusinessChatbot-Leads': []
+  });
+  const versions = MIGRATIONS.map(migration => migration.version);
+  assert.deepEqual(versions, versions.map((_, i) => i + 1));
+});
@@ -0,0 +1,60 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.STORAGE_BACKEND = 'sqlite';
+process.env.SQLITE_PATH = ':memory:';
+const { bookingConfig } = await import('../lib/booking.mjs');
+const {
+  createBusiness, createSession, saveMessage, getSession, getSessionHistory, applyRetentionPolicy,
+  createBooking, cancelBooking, getBooking, getBookingSlotCounts
+} = await import('../lib/database.mjs');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+test('expired messages are deleted and kept sessions recount what is left', async () => {
+  const { id } = await createBusiness({ name: 'Acme', slug: 'acme-retention' });
+  const business = { id, message_retention_days: 1 };
+  const sessionId = await createSession(id, '203.0.113.9', 'test');
+  await saveMessage(sessionId, id, 'user', 'hello');
+  await saveMessage(sessionId, id, 'assistant', 'hi there');
+  assert.equal((await getSession(sessionId, id)).total_messages, 2);
+
+  const dryRun = await applyRetentionPolicy(business, { dryRun: true, now: new Date(Date.now() + 2 * DAY) });
+  assert.equal(dryRun.messagesDeleted, 2);
+  assert.equal((await getSession(sessionId, id)).total_messages, 2);
+
+  const result = await applyRetentionPolicy(business, { now: new Date(Date.now() + 2 * DAY) });
+  assert.equal(result.messagesDeleted, 2);
+  assert.equal(result.sessionsDeleted, 0);
+  assert.deepEqual(await getSessionHistory(sessionId), []);
+  assert.equal((await getSession(sessionId, id)).total_messages, 0);
+});
+
+test('bookings are deleted once they have ended and their slots freed', async () => {
+  const { id } = await createBusiness({ name: 'Acme', slug: 'acme-retention-bookings' });
+  const business = {
+    id,
+    timezone: 'UTC',
+    booking_retention_days: 1,
+    booking: { enabled: true, slot_minutes: 30, resources: [{ id: 'room', name: 'Meeting room', capacity: 3, duration_minutes: 60 }] }
+  };
+  const config = bookingConfig(business);
+  const guest = { resource: config.resources[0], date: '2026-10-19', name: 'Jo', email: 'jo@example.com', phone: '555 0100' };
+  const past = await createBooking(business, 'session-1', { ...guest, time: '09:00' }, config);
+  const cancelled = await createBooking(business, 'session-2', { ...guest, time: '09:00' }, config);
+  await cancelBooking(id, cancelled.id, 'test');
+  const later = await createBooking(business, 'session-3', { ...guest, time: '09:30' }, config);
+
+  // A day before 2026-10-20 10:15 the 09:00 bookings had ended (10:00), the 09:30 one had not
+  const result = await applyRetentionPolicy(business, { now: new Date('2026-10-20T10:15:00Z') });
+  assert.equal(result.bookingsDeleted, 2);
+  assert.equal(await getBooking(id, past.id), undefined);
+  assert.equal(await getBooking(id, cancelled.id), undefined);
+  assert.ok(await getBooking(id, later.id));
+  // Only the confirmed booking still held its slots
+  assert.deepEqual(await getBookingSlotCounts(id, 'room', '2026-10-19'), {
+    'room#2026-10-19T09:00': 0,
+    'room#2026-10-19T09:30': 1,
+    'room#2026-10-19T10:00': 1
+  });
+});
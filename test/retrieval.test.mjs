@@ -0,0 +1,42 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { tokenize, bm25Scores, fuseRankings } from '../lib/retrieval.mjs';
+
+test('tokens are lowercased word runs without stopwords', () => {
+  assert.deepEqual(tokenize('What is the price of SKU-42A?'), ['price', 'sku', '42a']);
+  assert.deepEqual(tokenize(''), []);
+});
+
+test('BM25 favours documents with rarer query terms', () => {
+  const documents = [
+    tokenize('Gift cards are sold at the front desk'),
+    tokenize('We are open daily and sell gift vouchers'),
+    tokenize('Parking is free for guests')
+  ];
+  const scores = bm25Scores(tokenize('gift cards'), documents);
+  assert.ok(scores[0] > scores[1]);
+  assert.ok(scores[1] > 0);
+  assert.equal(scores[2], 0);
+  assert.deepEqual(bm25Scores([], documents), [0, 0, 0]);
+});
+
+test('rankings are fused by rank, leaving out items a signal did not score', () => {
+  const { fused, ranks } = fuseRankings({
+    vector: [0.9, 0.8, 0.1],
+    keyword: [0, 5, 3]
+  });
+  // Ranked by both signals beats first by one alone, even when last on the other
+  assert.ok(fused[1] > fused[2]);
+  assert.ok(fused[2] > fused[0]);
+  assert.deepEqual(ranks, [{ vector: 1 }, { vector: 2, keyword: 1 }, { vector: 3, keyword: 2 }]);
+});
+
+test('weights scale each signal and a zero weight drops it', () => {
+  const signals = { vector: [0.9, 0.1], keyword: [0, 5] };
+  const vectorOnly = fuseRankings(signals, { vector: 1, keyword: 0 });
+  assert.ok(vectorOnly.fused[0] > vectorOnly.fused[1]);
+  assert.deepEqual(vectorOnly.ranks, [{ vector: 1 }, { vector: 2 }]);
+  const keywordHeavy = fuseRankings(signals, { vector: 1, keyword: 3 });
+  assert.ok(keywordHeavy.fused[1] > keywordHeavy.fused[0]);
+  assert.deepEqual(fuseRankings({}).fused, []);
+});
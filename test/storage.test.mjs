@@ -0,0 +1,113 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { SQLiteStorage } from '../lib/storage/sqlite.mjs';
+
+const TABLE = {
+  name: 'Test-Items',
+  partitionKey: 'owner',
+  sortKey: 'id',
+  indexes: {
+    KindIndex: { partitionKey: 'kind', sortKey: 'created_at' }
+  }
+};
+
+let storage;
+
+beforeEach(async () => {
+  storage = new SQLiteStorage();
+  storage.filename = ':memory:';
+  await storage.init();
+  for (let i = 1; i <= 5; i++) {
+    await storage.putItem(TABLE, { owner: 'a', id: `item-${i}`, kind: i % 2 ? 'odd' : 'even', created_at: `2025-01-0${i}`, size: i });
+  }
+  await storage.putItem(TABLE, { owner: 'b', id: 'item-1', kind: 'odd', created_at: '2025-01-09', size: 9 });
+});
+
+test('putItem and getItem round-trip items by key', async () => {
+  assert.deepEqual(await storage.getItem(TABLE, { owner: 'a', id: 'item-2' }),
+    { owner: 'a', id: 'item-2', kind: 'even', created_at: '2025-01-02', size: 2 });
+  assert.equal(await storage.getItem(TABLE, { owner: 'a', id: 'missing' }), undefined);
+});
+
+test('queryItems reads one partition in sort key order', async () => {
+  const { items } = await storage.queryItems(TABLE, { keyValue: 'a' });
+  assert.deepEqual(items.map(item => item.id), ['item-1', 'item-2', 'item-3', 'item-4', 'item-5']);
+  const { items: reversed } = await storage.queryItems(TABLE, { keyValue: 'a', descending: true });
+  assert.equal(reversed[0].id, 'item-5');
+});
+
+test('queryItems applies sort key prefixes and filters', async () => {
+  await storage.putItem(TABLE, { owner: 'a', id: 'other-1', kind: 'odd', created_at: '2025-01-06', size: 6 });
+  const { items } = await storage.queryItems(TABLE, { keyValue: 'a', sortKeyPrefix: 'item-' });
+  assert.equal(items.length, 5);
+  const { items: large } = await storage.queryItems(TABLE, { keyValue: 'a', filters: [{ attr: 'size', op: '>=', value: 4 }] });
+  assert.deepEqual(large.map(item => item.id), ['item-4', 'item-5', 'other-1']);
+});
+
+test('queryItems pages through results with cursors', async () => {
+  const first = await storage.queryItems(TABLE, { keyValue: 'a', limit: 2 });
+  assert.deepEqual(first.items.map(item => item.id), ['item-1', 'item-2']);
+  assert.ok(first.cursor);
+  const second = await storage.queryItems(TABLE, { keyValue: 'a', limit: 2, cursor: first.cursor });
+  assert.deepEqual(second.items.map(item => item.id), ['item-3', 'item-4']);
+  const last = await storage.queryItems(TABLE, { keyValue: 'a', limit: 2, cursor: second.cursor });
+  assert.deepEqual(last.items.map(item => item.id), ['item-5']);
+  assert.equal(last.cursor, null);
+});
+
+test('queryItems reads secondary indexes across partitions', async () => {
+  const { items } = await storage.queryItems(TABLE, { index: 'KindIndex', keyValue: 'odd', descending: true });
+  assert.deepEqual(items.map(item => `${item.owner}/${item.id}`), ['b/item-1', 'a/item-5', 'a/item-3', 'a/item-1']);
+  const paged = await storage.queryItems(TABLE, { index: 'KindIndex', keyValue: 'odd', limit: 3 });
+  const rest = await storage.queryItems(TABLE, { index: 'KindIndex', keyValue: 'odd', limit: 3, cursor: paged.cursor });
+  assert.deepEqual(rest.items.map(item => item.owner), ['b']);
+});
+
+test('scanItems returns every item and can project attributes', async () => {
+  const { items } = await storage.scanItems(TABLE, { attributes: ['owner', 'id'] });
+  assert.equal(items.length, 6);
+  assert.deepEqual(items[0], { owner: 'a', id: 'item-1' });
+});
+
+test('updateItem sets, adds and removes attributes', async () => {
+  const key = { owner: 'a', id: 'item-1' };
+  await storage.updateItem(TABLE, key, { set: { kind: 'first' }, add: { size: 2, views: 1 }, remove: ['created_at'] });
+  assert.deepEqual(await storage.getItem(TABLE, key), { owner: 'a', id: 'item-1', kind: 'first', size: 3, views: 1 });
+});
+
+test('updateItem upserts unless mustExist is set', async () => {
+  await storage.updateItem(TABLE, { owner: 'c', id: 'new' }, { add: { count: 1 } });
+  assert.deepEqual(await storage.getItem(TABLE, { owner: 'c', id: 'new' }), { owner: 'c', id: 'new', count: 1 });
+  await assert.rejects(
+    storage.updateItem(TABLE, { owner: 'c', id: 'other' }, { set: { kind: 'x' }, mustExist: true }),
+    { name: 'ConditionalCheckFailedException' });
+});
+
+test('updateItem checks expected values, with null meaning absent', async () => {
+  const key = { owner: 'a', id: 'item-2' };
+  await storage.updateItem(TABLE, key, { set: { claimed_by: 'jo' }, expect: { claimed_by: null } });
+  await assert.rejects(
+    storage.updateItem(TABLE, key, { set: { claimed_by: 'sam' }, expect: { claimed_by: null } }),
+    { name: 'ConditionalCheckFailedException' });
+  await storage.updateItem(TABLE, key, { remove: ['claimed_by'], expect: { claimed_by: 'jo' } });
+  assert.equal((await storage.getItem(TABLE, key)).claimed_by, undefined);
+});
+
+test('deleteItem removes one item', async () => {
+  await storage.deleteItem(TABLE, { owner: 'a', id: 'item-3' });
+  assert.equal(await storage.getItem(TABLE, { owner: 'a', id: 'item-3' }), undefined);
+  assert.equal((await storage.queryItems(TABLE, { keyValue: 'a' })).items.length, 4);
+});
+
+test('tampered cursors are rejected as bad requests', async () => {
+  const tampered = [
+    'not base64 json',
+    Buffer.from('"a string"').toString('base64url'),
+    Buffer.from('["item-1", "extra"]').toString('base64url'),
+    Buffer.from('[{"a":1}]').toString('base64url')
+  ];
+  for (const cursor of tampered) {
+    await assert.rejects(storage.queryItems(TABLE, { keyValue: 'a', cursor }), { message: 'Invalid pagination cursor', status: 400 });
+  }
+  await assert.rejects(storage.scanItems(TABLE, { cursor: Buffer.from('{"pk":"a"}').toString('base64url') }), { status: 400 });
+});
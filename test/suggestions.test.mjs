@@ -0,0 +1,28 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { pickSuggestions, starterSuggestions, DEFAULT_STARTER_SUGGESTIONS, MAX_SUGGESTIONS } from '../lib/suggestions.mjs';
+
+test('suggestions are distinct, trimmed and capped', () => {
+  const picked = pickSuggestions(['See the menu', 'see the menu ', '  Book a table ', '', 'Do you deliver?', 'Current offers', 'Is there parking?'], []);
+  assert.deepEqual(picked, ['See the menu', 'Book a table', 'Do you deliver?', 'Current offers']);
+  assert.equal(picked.length, MAX_SUGGESTIONS);
+});
+
+test('topics the visitor already asked about are left out', () => {
+  const picked = pickSuggestions(['Pricing information', 'Vegetarian options', 'Is there parking?', 'Get directions'], [
+    'What are your prices?',
+    'Where can I park the car?'
+  ]);
+  // "prices" covers "Pricing"; "park" and "parking" share a stem
+  assert.deepEqual(picked, ['Vegetarian options', 'Get directions']);
+});
+
+test('suggestions without topic words are always kept', () => {
+  assert.deepEqual(pickSuggestions(['Can you tell me?'], ['Can you tell me about your services?']), ['Can you tell me?']);
+});
+
+test('businesses without starter suggestions get the defaults', () => {
+  assert.deepEqual(starterSuggestions({}), DEFAULT_STARTER_SUGGESTIONS);
+  assert.deepEqual(starterSuggestions({ starter_suggestions: [] }), DEFAULT_STARTER_SUGGESTIONS);
+  assert.deepEqual(starterSuggestions({ starter_suggestions: ['See the menu'] }), ['See the menu']);
+});